@@ -8,338 +8,193 @@ import {
   TouchableOpacity,
 } from 'react-native';
 import { LineChart, BarChart } from 'react-native-chart-kit';
-import { RiskAnalysisChart } from './ChartComponents';
+import { RiskAnalysisChart, VolatilitySmileChart } from './ChartComponents';
+import RateCurveInput from './RateCurveInput';
+import PricingModelSelector from './PricingModelSelector';
+import ScenarioGrid from './ScenarioGrid';
+import EventVolatilityPanel from './EventVolatilityPanel';
+import HistoricalVolatilityPanel from './HistoricalVolatilityPanel';
+import { strategyGreeks, strategyTheoreticalValue } from '../utils/pricing';
+import { analyzeStrategy } from '../utils/strategyAnalysis';
+import { createMarket, nearestExpiryDays, shiftMarket } from '../utils/market';
+import { DEFAULT_SIMULATION_PATHS, DEFAULT_SIMULATION_SEED } from '../utils/probability';
+import { DEFAULT_RISK_FREE_RATE, flatRateCurve } from '../utils/rates';
+import {
+  SMILE_SCENARIOS,
+  applySmileScenario,
+  fitSmileFromChain,
+  fitSmileFromLegs,
+  legsUnderSmileScenario,
+  sampleSmile,
+} from '../utils/volSmile';
+
+const TIME_DECAY_POINTS = 30;
 
-const Analysis = ({ strategy, currentPrice }) => {
+const Analysis = ({
+  strategy,
+  currentPrice,
+  valuationDate,
+  rateCurve: initialRateCurve,
+  optionChain,
+  simulationPaths = DEFAULT_SIMULATION_PATHS,
+  simulationSeed = DEFAULT_SIMULATION_SEED,
+}) => {
   const [analysisData, setAnalysisData] = useState({
     greeks: {},
     breakeven: [],
     maxProfit: 0,
     maxLoss: 0,
+    unlimitedProfit: false,
+    unlimitedLoss: false,
     probabilityOfProfit: 0,
+    analyticalProbabilityOfProfit: 0,
+    probabilityConfidence: [0, 0],
+    touchProbabilities: [],
+    expectedValue: 0,
+    valueAtRisk: 0,
+    expectedShortfall: 0,
+    earlyAssignmentRisks: [],
+    strategyType: { name: 'Unknown', direction: 'neutral', premium: 'even', risk: 'defined' },
     riskReward: 0,
     timeDecay: [],
     volatilityImpact: [],
+    smileScenarios: [],
+    smile: [],
+    market: null,
   });
+  const [selectedSmileScenario, setSelectedSmileScenario] = useState(SMILE_SCENARIOS[0].id);
 
   const [selectedTab, setSelectedTab] = useState('overview');
+  const [rateCurve, setRateCurve] = useState(
+    initialRateCurve || flatRateCurve(DEFAULT_RISK_FREE_RATE)
+  );
+  const [pricingModel, setPricingModel] = useState(strategy?.pricingModel || 'european');
   const screenWidth = Dimensions.get('window').width;
 
   useEffect(() => {
     if (strategy && strategy.options && strategy.options.length > 0) {
       calculateAnalysis();
     }
-  }, [strategy, currentPrice]);
+  }, [
+    strategy,
+    currentPrice,
+    valuationDate,
+    rateCurve,
+    pricingModel,
+    optionChain,
+    simulationPaths,
+    simulationSeed,
+  ]);
 
   const calculateAnalysis = () => {
     const options = strategy.options;
+    const market = createMarket({
+      spot: currentPrice,
+      valuationDate,
+      rateCurve,
+      carry: strategy.carry,
+      model: pricingModel,
+      fees: strategy.fees,
+    });
+    const smile = optionChain && optionChain.length > 0
+      ? fitSmileFromChain(optionChain, currentPrice)
+      : fitSmileFromLegs(options, currentPrice);
+    const core = analyzeStrategy(options, market, {
+      paths: simulationPaths,
+      seed: simulationSeed,
+    });
     const analysis = {
-      greeks: calculateGreeks(options, currentPrice),
-      breakeven: calculateBreakeven(options),
-      maxProfit: calculateMaxProfit(options),
-      maxLoss: calculateMaxLoss(options),
-      probabilityOfProfit: calculateProbabilityOfProfit(options, currentPrice),
-      riskReward: 0,
-      timeDecay: calculateTimeDecay(options),
-      volatilityImpact: calculateVolatilityImpact(options, currentPrice),
+      greeks: core.greeks,
+      breakeven: core.breakevens,
+      maxProfit: core.maxProfit,
+      maxLoss: core.maxLoss,
+      unlimitedProfit: core.unlimitedProfit,
+      unlimitedLoss: core.unlimitedLoss,
+      probabilityOfProfit: core.probabilityOfProfit * 100,
+      analyticalProbabilityOfProfit: core.analyticalProbabilityOfProfit * 100,
+      probabilityConfidence: core.probabilityConfidence.map(p => p * 100),
+      touchProbabilities: core.touchProbabilities.map(touch => ({
+        price: touch.price,
+        probability: touch.probability * 100,
+      })),
+      expectedValue: core.expectedValue,
+      valueAtRisk: core.valueAtRisk,
+      expectedShortfall: core.expectedShortfall,
+      earlyAssignmentRisks: core.earlyAssignmentRisks,
+      strategyType: core.strategyType,
+      riskReward: core.riskReward,
+      timeDecay: calculateTimeDecay(options, market),
+      volatilityImpact: calculateVolatilityImpact(options, market, smile),
+      smileScenarios: calculateSmileScenarios(options, market, smile),
+      smile: sampleSmile(smile),
+      smileModel: smile,
+      market,
     };
 
-    analysis.riskReward = analysis.maxProfit / Math.abs(analysis.maxLoss);
     setAnalysisData(analysis);
   };
 
-  const calculateGreeks = (options, spotPrice) => {
-    let totalDelta = 0;
-    let totalGamma = 0;
-    let totalTheta = 0;
-    let totalVega = 0;
-    let totalRho = 0;
-
-    options.forEach(option => {
-      const { strike, type, action, quantity, volatility = 0.2 } = option;
-      const timeToExpiry = 30 / 365; // Simplified - 30 days
-      const riskFreeRate = 0.05; // 5% risk-free rate
-      
-      const greeks = calculateBlackScholesGreeks(
-        spotPrice, 
-        strike, 
-        timeToExpiry, 
-        riskFreeRate, 
-        volatility, 
-        type
-      );
-
-      const multiplier = (action === 'buy' ? 1 : -1) * quantity;
-      
-      totalDelta += greeks.delta * multiplier;
-      totalGamma += greeks.gamma * multiplier;
-      totalTheta += greeks.theta * multiplier;
-      totalVega += greeks.vega * multiplier;
-      totalRho += greeks.rho * multiplier;
-    });
-
-    return {
-      delta: totalDelta,
-      gamma: totalGamma,
-      theta: totalTheta,
-      vega: totalVega,
-      rho: totalRho,
-    };
-  };
-
-  const calculateBlackScholesGreeks = (S, K, T, r, sigma, optionType) => {
-    const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
-    const d2 = d1 - sigma * Math.sqrt(T);
-    
-    const normCDF = (x) => {
-      return 0.5 * (1 + erf(x / Math.sqrt(2)));
-    };
-    
-    const normPDF = (x) => {
-      return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
-    };
-    
-    const erf = (x) => {
-      // Approximation of error function
-      const a1 =  0.254829592;
-      const a2 = -0.284496736;
-      const a3 =  1.421413741;
-      const a4 = -1.453152027;
-      const a5 =  1.061405429;
-      const p  =  0.3275911;
-      
-      const sign = x >= 0 ? 1 : -1;
-      x = Math.abs(x);
-      
-      const t = 1.0 / (1.0 + p * x);
-      const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-      
-      return sign * y;
-    };
-
-    let delta, gamma, theta, vega, rho;
-    
-    if (optionType === 'call') {
-      delta = normCDF(d1);
-      theta = -(S * normPDF(d1) * sigma) / (2 * Math.sqrt(T)) - r * K * Math.exp(-r * T) * normCDF(d2);
-      rho = K * T * Math.exp(-r * T) * normCDF(d2);
-    } else {
-      delta = normCDF(d1) - 1;
-      theta = -(S * normPDF(d1) * sigma) / (2 * Math.sqrt(T)) + r * K * Math.exp(-r * T) * normCDF(-d2);
-      rho = -K * T * Math.exp(-r * T) * normCDF(-d2);
+  const calculateTimeDecay = (options, market) => {
+    const timeDecayData = [];
+    // Walk forward until the first leg expires, at most TIME_DECAY_POINTS
+    // dates so a long-dated strategy on the binomial model stays cheap
+    const horizon = nearestExpiryDays(options, market);
+    const step = Math.max(1, Math.ceil(horizon / (TIME_DECAY_POINTS - 1)));
+    const sampleDays = [];
+    for (let days = 0; days < horizon; days += step) {
+      sampleDays.push(days);
     }
+    sampleDays.push(horizon);
     
-    gamma = normPDF(d1) / (S * sigma * Math.sqrt(T));
-    vega = S * normPDF(d1) * Math.sqrt(T);
-    
-    return { delta, gamma, theta: theta / 365, vega: vega / 100, rho: rho / 100 };
-  };
-
-  const calculateBreakeven = (options) => {
-    const breakevens = [];
-    
-    // Simplified breakeven calculation
-    const totalPremium = options.reduce((sum, option) => {
-      return sum + (option.premium * option.quantity * (option.action === 'buy' ? 1 : -1));
-    }, 0);
-
-    // Find breakeven points by testing different prices
-    for (let price = 50; price <= 250; price += 0.5) {
-      let payoff = 0;
+    sampleDays.forEach(days => {
+      const { theta } = strategyGreeks(options, shiftMarket(market, { days }));
       
-      options.forEach(option => {
-        let optionPayoff = 0;
-        
-        if (option.type === 'call') {
-          if (option.action === 'buy') {
-            optionPayoff = Math.max(0, price - option.strike) - option.premium;
-          } else {
-            optionPayoff = option.premium - Math.max(0, price - option.strike);
-          }
-        } else {
-          if (option.action === 'buy') {
-            optionPayoff = Math.max(0, option.strike - price) - option.premium;
-          } else {
-            optionPayoff = option.premium - Math.max(0, option.strike - price);
-          }
-        }
-        
-        payoff += optionPayoff * option.quantity;
+      timeDecayData.push({
+        days,
+        theta,
       });
-      
-      if (Math.abs(payoff) < 0.01) {
-        breakevens.push(price);
-      }
-    }
+    });
     
-    return breakevens;
+    return timeDecayData;
   };
 
-  const calculateMaxProfit = (options) => {
-    let maxProfit = 0;
+  // Parallel shifts of the fitted smile, each leg moving from its own IV
+  const calculateVolatilityImpact = (options, market, smile) => {
+    const volImpactData = [];
+    const baseValue = strategyTheoreticalValue(options, market);
     
-    // Test profit at various price points
-    for (let price = 50; price <= 250; price += 1) {
-      let profit = 0;
+    for (let shift = -10; shift <= 20; shift += 5) {
+      const shiftedLegs = legsUnderSmileScenario(options, smile, { shift: shift / 100 });
+      const { vega } = strategyGreeks(shiftedLegs, market);
       
-      options.forEach(option => {
-        let optionProfit = 0;
-        
-        if (option.type === 'call') {
-          if (option.action === 'buy') {
-            optionProfit = Math.max(0, price - option.strike) - option.premium;
-          } else {
-            optionProfit = option.premium - Math.max(0, price - option.strike);
-          }
-        } else {
-          if (option.action === 'buy') {
-            optionProfit = Math.max(0, option.strike - price) - option.premium;
-          } else {
-            optionProfit = option.premium - Math.max(0, option.strike - price);
-          }
-        }
-        
-        profit += optionProfit * option.quantity;
+      volImpactData.push({
+        shift,
+        vega,
+        pnl: strategyTheoreticalValue(shiftedLegs, market) - baseValue,
       });
-      
-      maxProfit = Math.max(maxProfit, profit);
     }
     
-    return maxProfit;
+    return volImpactData;
   };
 
-  const calculateMaxLoss = (options) => {
-    let maxLoss = 0;
-    
-    // Test loss at various price points
-    for (let price = 50; price <= 250; price += 1) {
-      let loss = 0;
-      
-      options.forEach(option => {
-        let optionLoss = 0;
-        
-        if (option.type === 'call') {
-          if (option.action === 'buy') {
-            optionLoss = Math.max(0, price - option.strike) - option.premium;
-          } else {
-            optionLoss = option.premium - Math.max(0, price - option.strike);
-          }
-        } else {
-          if (option.action === 'buy') {
-            optionLoss = Math.max(0, option.strike - price) - option.premium;
-          } else {
-            optionLoss = option.premium - Math.max(0, option.strike - price);
-          }
-        }
-        
-        loss += optionLoss * option.quantity;
-      });
-      
-      maxLoss = Math.min(maxLoss, loss);
-    }
-    
-    return maxLoss;
-  };
+  const calculateSmileScenarios = (options, market, smile) => {
+    const baseValue = strategyTheoreticalValue(options, market);
 
-  const calculateProbabilityOfProfit = (options, currentPrice) => {
-    const volatility = 0.2; // Assumed 20% volatility
-    const timeToExpiry = 30 / 365; // 30 days
-    
-    // Monte Carlo simulation for probability of profit
-    const numSimulations = 1000;
-    let profitableOutcomes = 0;
-    
-    for (let i = 0; i < numSimulations; i++) {
-      const randomPrice = currentPrice * Math.exp(
-        (Math.random() - 0.5) * volatility * Math.sqrt(timeToExpiry) * 2
-      );
-      
-      let totalPayoff = 0;
-      options.forEach(option => {
-        let optionPayoff = 0;
-        
-        if (option.type === 'call') {
-          if (option.action === 'buy') {
-            optionPayoff = Math.max(0, randomPrice - option.strike) - option.premium;
-          } else {
-            optionPayoff = option.premium - Math.max(0, randomPrice - option.strike);
-          }
-        } else {
-          if (option.action === 'buy') {
-            optionPayoff = Math.max(0, option.strike - randomPrice) - option.premium;
-          } else {
-            optionPayoff = option.premium - Math.max(0, option.strike - randomPrice);
-          }
-        }
-        
-        totalPayoff += optionPayoff * option.quantity;
-      });
-      
-      if (totalPayoff > 0) {
-        profitableOutcomes++;
-      }
-    }
-    
-    return (profitableOutcomes / numSimulations) * 100;
+    return SMILE_SCENARIOS.map(({ id, label, scenario }) => {
+      const shockedLegs = legsUnderSmileScenario(options, smile, scenario);
+      return {
+        id,
+        label,
+        pnl: strategyTheoreticalValue(shockedLegs, market) - baseValue,
+        vega: strategyGreeks(shockedLegs, market).vega,
+      };
+    });
   };
 
-  const calculateTimeDecay = (options) => {
-    const timeDecayData = [];
-    
-    for (let days = 30; days >= 0; days--) {
-      const timeToExpiry = days / 365;
-      let totalTheta = 0;
-      
-      options.forEach(option => {
-        const greeks = calculateBlackScholesGreeks(
-          currentPrice,
-          option.strike,
-          timeToExpiry,
-          0.05,
-          option.volatility || 0.2,
-          option.type
-        );
-        
-        const multiplier = (option.action === 'buy' ? 1 : -1) * option.quantity;
-        totalTheta += greeks.theta * multiplier;
-      });
-      
-      timeDecayData.push({
-        days: 30 - days,
-        theta: totalTheta,
-      });
-    }
-    
-    return timeDecayData;
-  };
+  const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
 
-  const calculateVolatilityImpact = (options, spotPrice) => {
-    const volImpactData = [];
-    
-    for (let vol = 0.1; vol <= 0.5; vol += 0.05) {
-      let totalVega = 0;
-      
-      options.forEach(option => {
-        const greeks = calculateBlackScholesGreeks(
-          spotPrice,
-          option.strike,
-          30 / 365,
-          0.05,
-          vol,
-          option.type
-        );
-        
-        const multiplier = (option.action === 'buy' ? 1 : -1) * option.quantity;
-        totalVega += greeks.vega * multiplier;
-      });
-      
-      volImpactData.push({
-        volatility: vol * 100,
-        vega: totalVega,
-      });
-    }
-    
-    return volImpactData;
+  const formatPnL = (value) => {
+    return Number.isFinite(value) ? `$${value.toFixed(2)}` : 'Unlimited';
   };
 
   const renderOverview = () => (
@@ -348,21 +203,21 @@ const Analysis = ({ strategy, currentPrice }) => {
         <View style={styles.metricCard}>
           <Text style={styles.metricLabel}>Max Profit</Text>
           <Text style={[styles.metricValue, { color: '#10b981' }]}>
-            ${analysisData.maxProfit.toFixed(2)}
+            {formatPnL(analysisData.maxProfit)}
           </Text>
         </View>
         
         <View style={styles.metricCard}>
           <Text style={styles.metricLabel}>Max Loss</Text>
           <Text style={[styles.metricValue, { color: '#ef4444' }]}>
-            ${analysisData.maxLoss.toFixed(2)}
+            {formatPnL(analysisData.maxLoss)}
           </Text>
         </View>
         
         <View style={styles.metricCard}>
           <Text style={styles.metricLabel}>Risk/Reward</Text>
           <Text style={styles.metricValue}>
-            {analysisData.riskReward.toFixed(2)}
+            {Number.isFinite(analysisData.riskReward) ? analysisData.riskReward.toFixed(2) : '∞'}
           </Text>
         </View>
         
@@ -371,6 +226,40 @@ const Analysis = ({ strategy, currentPrice }) => {
           <Text style={styles.metricValue}>
             {analysisData.probabilityOfProfit.toFixed(1)}%
           </Text>
+          <Text style={styles.metricLabel}>
+            95% CI {analysisData.probabilityConfidence[0].toFixed(1)}–{analysisData.probabilityConfidence[1].toFixed(1)}%
+          </Text>
+        </View>
+
+        <View style={styles.metricCard}>
+          <Text style={styles.metricLabel}>Lognormal Probability</Text>
+          <Text style={styles.metricValue}>
+            {analysisData.analyticalProbabilityOfProfit.toFixed(1)}%
+          </Text>
+        </View>
+
+        <View style={styles.metricCard}>
+          <Text style={styles.metricLabel}>Expected P&L</Text>
+          <Text style={[
+            styles.metricValue,
+            { color: analysisData.expectedValue >= 0 ? '#10b981' : '#ef4444' }
+          ]}>
+            ${analysisData.expectedValue.toFixed(2)}
+          </Text>
+        </View>
+
+        <View style={styles.metricCard}>
+          <Text style={styles.metricLabel}>95% VaR</Text>
+          <Text style={[styles.metricValue, { color: '#ef4444' }]}>
+            ${analysisData.valueAtRisk.toFixed(2)}
+          </Text>
+        </View>
+
+        <View style={styles.metricCard}>
+          <Text style={styles.metricLabel}>Expected Shortfall</Text>
+          <Text style={[styles.metricValue, { color: '#ef4444' }]}>
+            ${analysisData.expectedShortfall.toFixed(2)}
+          </Text>
         </View>
       </View>
       
@@ -380,6 +269,8 @@ const Analysis = ({ strategy, currentPrice }) => {
           {analysisData.breakeven.map((price, index) => (
             <Text key={index} style={styles.breakevenPrice}>
               ${price.toFixed(2)}
+              {analysisData.touchProbabilities[index] &&
+                ` · ${analysisData.touchProbabilities[index].probability.toFixed(1)}% touch`}
             </Text>
           ))}
         </View>
@@ -389,6 +280,9 @@ const Analysis = ({ strategy, currentPrice }) => {
 
   const renderGreeks = () => (
     <View style={styles.tabContent}>
+      <PricingModelSelector model={pricingModel} onChange={setPricingModel} />
+      <RateCurveInput rateCurve={rateCurve} onChange={setRateCurve} />
+
       <View style={styles.greeksContainer}>
         <View style={styles.greekCard}>
           <Text style={styles.greekLabel}>Delta</Text>
@@ -440,6 +334,22 @@ const Analysis = ({ strategy, currentPrice }) => {
           </Text>
         </View>
       </View>
+
+      {analysisData.earlyAssignmentRisks.length > 0 && (
+        <View style={styles.riskMetrics}>
+          <Text style={styles.sectionTitle}>Early Assignment Risk</Text>
+          {analysisData.earlyAssignmentRisks.map((risk, index) => (
+            <View key={index} style={styles.riskMetric}>
+              <Text style={styles.riskLabel}>
+                SELL {risk.leg.quantity}x {risk.leg.type.toUpperCase()} ${risk.leg.strike}
+              </Text>
+              <Text style={styles.riskValue}>
+                {risk.exerciseNow ? 'Exercise optimal now' : `Time value $${risk.timeValue.toFixed(2)}`}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
     </View>
   );
 
@@ -479,9 +389,9 @@ const Analysis = ({ strategy, currentPrice }) => {
       {analysisData.volatilityImpact.length > 0 && (
         <LineChart
           data={{
-            labels: analysisData.volatilityImpact.map(point => point.volatility.toString()),
+            labels: analysisData.volatilityImpact.map(point => `${point.shift > 0 ? '+' : ''}${point.shift}`),
             datasets: [{
-              data: analysisData.volatilityImpact.map(point => point.vega),
+              data: analysisData.volatilityImpact.map(point => point.pnl),
               strokeWidth: 2,
             }]
           }}
@@ -500,6 +410,86 @@ const Analysis = ({ strategy, currentPrice }) => {
           style={styles.chart}
         />
       )}
+
+      {analysisData.smile.length > 0 && (
+        <>
+          <Text style={styles.sectionTitle}>Volatility Smile</Text>
+          <VolatilitySmileChart data={smileChartData()} />
+        </>
+      )}
+
+      <View style={styles.riskMetrics}>
+        {analysisData.smileScenarios.map(scenario => (
+          <TouchableOpacity
+            key={scenario.id}
+            style={styles.riskMetric}
+            onPress={() => setSelectedSmileScenario(scenario.id)}
+          >
+            <Text style={[
+              styles.riskLabel,
+              selectedSmileScenario === scenario.id && styles.activeTabText
+            ]}>
+              {scenario.label}
+            </Text>
+            <Text style={[
+              styles.riskValue,
+              { color: scenario.pnl >= 0 ? '#10b981' : '#ef4444' }
+            ]}>
+              ${scenario.pnl.toFixed(2)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+
+  const smileChartData = () => {
+    const selected = SMILE_SCENARIOS.find(item => item.id === selectedSmileScenario);
+    const strikes = analysisData.smile.map(point => point.strike);
+    const shocked = applySmileScenario(analysisData.smileModel, selected.scenario);
+
+    return {
+      base: analysisData.smile,
+      scenario: sampleSmile(shocked, {
+        from: strikes[0],
+        to: strikes[strikes.length - 1],
+        count: strikes.length,
+      }),
+      scenarioLabel: selected.label,
+    };
+  };
+
+  const renderScenarios = () => (
+    <View style={styles.tabContent}>
+      <Text style={styles.sectionTitle}>Scenario Grid</Text>
+      <ScenarioGrid
+        legs={strategy.options}
+        market={analysisData.market}
+        smile={analysisData.smileModel}
+      />
+    </View>
+  );
+
+  const renderEventVolatility = () => (
+    <View style={styles.tabContent}>
+      <Text style={styles.sectionTitle}>Earnings & Events</Text>
+      <EventVolatilityPanel
+        legs={strategy.options}
+        market={analysisData.market}
+        optionChain={optionChain}
+      />
+    </View>
+  );
+
+  const renderRealizedVolatility = () => (
+    <View style={styles.tabContent}>
+      <Text style={styles.sectionTitle}>Realized vs Implied</Text>
+      <HistoricalVolatilityPanel
+        ticker={strategy.ticker}
+        legs={strategy.options}
+        optionChain={optionChain}
+        currentPrice={currentPrice}
+      />
     </View>
   );
 
@@ -528,7 +518,15 @@ const Analysis = ({ strategy, currentPrice }) => {
         <View style={styles.riskMetric}>
           <Text style={styles.riskLabel}>Strategy Type</Text>
           <Text style={styles.riskValue}>
-            {determineStrategyType()}
+            {analysisData.strategyType.name}
+          </Text>
+        </View>
+
+        <View style={styles.riskMetric}>
+          <Text style={styles.riskLabel}>Outlook</Text>
+          <Text style={styles.riskValue}>
+            {capitalize(analysisData.strategyType.direction)}, {analysisData.strategyType.premium},{' '}
+            {analysisData.strategyType.risk} risk
           </Text>
         </View>
       </View>
@@ -550,39 +548,14 @@ const Analysis = ({ strategy, currentPrice }) => {
     return riskScore;
   };
 
-  const determineStrategyType = () => {
-    if (!strategy || !strategy.options) return 'Unknown';
-    
-    const options = strategy.options;
-    const callOptions = options.filter(opt => opt.type === 'call');
-    const putOptions = options.filter(opt => opt.type === 'put');
-    const buyOptions = options.filter(opt => opt.action === 'buy');
-    const sellOptions = options.filter(opt => opt.action === 'sell');
-    
-    if (options.length === 1) {
-      if (buyOptions.length === 1) {
-        return callOptions.length === 1 ? 'Long Call' : 'Long Put';
-      } else {
-        return callOptions.length === 1 ? 'Short Call' : 'Short Put';
-      }
-    } else if (options.length === 2) {
-      if (callOptions.length === 2) {
-        return 'Call Spread';
-      } else if (putOptions.length === 2) {
-        return 'Put Spread';
-      } else {
-        return 'Straddle/Strangle';
-      }
-    } else {
-      return 'Complex Strategy';
-    }
-  };
-
   const tabs = [
     { id: 'overview', label: 'Overview', render: renderOverview },
     { id: 'greeks', label: 'Greeks', render: renderGreeks },
     { id: 'timeDecay', label: 'Time Decay', render: renderTimeDecay },
     { id: 'volatility', label: 'Volatility', render: renderVolatilityImpact },
+    { id: 'scenarios', label: 'Scenarios', render: renderScenarios },
+    { id: 'events', label: 'Events', render: renderEventVolatility },
+    { id: 'realized', label: 'Realized Vol', render: renderRealizedVolatility },
     { id: 'risk', label: 'Risk', render: renderRiskAnalysis },
   ];
 
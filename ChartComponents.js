@@ -24,20 +24,30 @@ options_analyzer_mobile/
 
 // ChartComponents.js
 import React from 'react';
-import { Dimensions } from 'react-native';
+import { Dimensions, ScrollView, StyleSheet, Text, View } from 'react-native';
 import { LineChart } from 'react-native-chart-kit';
 import { WebView } from 'react-native-webview';
 
-export const PayoffChart = ({ data }) => {
+const HORIZON_COLORS = ['16, 185, 129', '245, 158, 11', '124, 58, 237', '236, 72, 153'];
+
+// horizons are the dates of the model P&L curves carried in point.theoretical,
+// drawn over the expiration payoff
+export const PayoffChart = ({ data, horizons = [] }) => {
   const screenWidth = Dimensions.get('window').width;
+  const datasets = [
+    { data: data.map(point => point.payoff) },
+    ...horizons.map((horizon, index) => ({
+      data: data.map(point => point.theoretical[index]),
+      color: (opacity = 1) => `rgba(${HORIZON_COLORS[index % HORIZON_COLORS.length]}, ${opacity})`,
+    })),
+  ];
   
   return (
     <LineChart
       data={{
         labels: data.map(point => point.price),
-        datasets: [{
-          data: data.map(point => point.payoff)
-        }]
+        datasets,
+        legend: horizons.length > 0 ? ['Expiry', ...horizons.map(horizon => horizon.label)] : undefined,
       }}
       width={screenWidth}
       height={220}
@@ -93,6 +103,110 @@ export const RiskAnalysisChart = ({ data }) => {
   );
 };
 
+export const VolatilitySmileChart = ({ data }) => {
+  const screenWidth = Dimensions.get('window').width;
+  const datasets = [{
+    data: data.base.map(point => point.volatility * 100),
+    color: (opacity = 1) => `rgba(124, 58, 237, ${opacity})`,
+  }];
+
+  if (data.scenario) {
+    datasets.push({
+      data: data.scenario.map(point => point.volatility * 100),
+      color: (opacity = 1) => `rgba(245, 158, 11, ${opacity})`,
+    });
+  }
+
+  return (
+    <LineChart
+      data={{
+        // Label every fourth strike so the axis stays readable
+        labels: data.base.map((point, index) => (index % 4 === 0 ? point.strike.toFixed(0) : '')),
+        datasets,
+        legend: data.scenario ? ['Fitted smile', data.scenarioLabel] : ['Fitted smile'],
+      }}
+      width={screenWidth - 32}
+      height={220}
+      yAxisSuffix="%"
+      chartConfig={{
+        backgroundColor: '#ffffff',
+        backgroundGradientFrom: '#ffffff',
+        backgroundGradientTo: '#ffffff',
+        decimalPlaces: 1,
+        color: (opacity = 1) => `rgba(124, 58, 237, ${opacity})`,
+        style: {
+          borderRadius: 16
+        }
+      }}
+      bezier
+      style={{
+        marginVertical: 8,
+        borderRadius: 16
+      }}
+    />
+  );
+};
+
+// Price-by-date table of model P&L, shaded by size of the gain or loss
+export const PnLHeatmap = ({ data }) => {
+  const largest = Math.max(1e-9, ...data.rows.flat().map(value => Math.abs(value)));
+
+  const cellColor = (value) => {
+    const intensity = 0.15 + 0.6 * Math.abs(value) / largest;
+    return value >= 0
+      ? `rgba(16, 185, 129, ${intensity})`
+      : `rgba(239, 68, 68, ${intensity})`;
+  };
+
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+      <View>
+        <View style={styles.heatmapRow}>
+          <Text style={[styles.heatmapCell, styles.heatmapHeader]}>Price</Text>
+          {data.dates.map(date => (
+            <Text key={date.days} style={[styles.heatmapCell, styles.heatmapHeader]}>
+              {date.label}
+            </Text>
+          ))}
+        </View>
+        {data.prices.map((price, rowIndex) => (
+          <View key={price} style={styles.heatmapRow}>
+            <Text style={[styles.heatmapCell, styles.heatmapHeader]}>${price.toFixed(2)}</Text>
+            {data.rows[rowIndex].map((value, columnIndex) => (
+              <Text
+                key={columnIndex}
+                style={[styles.heatmapCell, { backgroundColor: cellColor(value) }]}
+              >
+                {value.toFixed(2)}
+              </Text>
+            ))}
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  heatmapRow: {
+    flexDirection: 'row',
+  },
+  heatmapCell: {
+    width: 76,
+    paddingVertical: 6,
+    paddingHorizontal: 4,
+    fontSize: 12,
+    textAlign: 'center',
+    color: '#1f2937',
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: '#e5e7eb',
+  },
+  heatmapHeader: {
+    fontWeight: '600',
+    backgroundColor: '#f3f4f6',
+  },
+});
+
 // OptionChain.js
 import React from 'react';
 import { View, Text, StyleSheet, FlatList, TouchableOpacity } from 'react-native';
@@ -108,7 +222,8 @@ const OptionChain = ({ data, onSelect }) => {
       <Text style={styles.cell}>{item.callAsk}</Text>
       <Text style={styles.cell}>{item.putBid}</Text>
       <Text style={styles.cell}>{item.putAsk}</Text>
-      <Text style={styles.cell}>{(item.iv * 100).toFixed(1)}%</Text>
+      <Text style={styles.cell}>{((item.callIv ?? item.iv) * 100).toFixed(1)}%</Text>
+      <Text style={styles.cell}>{((item.putIv ?? item.iv) * 100).toFixed(1)}%</Text>
     </TouchableOpacity>
   );
 
@@ -120,7 +235,8 @@ const OptionChain = ({ data, onSelect }) => {
         <Text style={styles.headerCell}>Call Ask</Text>
         <Text style={styles.headerCell}>Put Bid</Text>
         <Text style={styles.headerCell}>Put Ask</Text>
-        <Text style={styles.headerCell}>IV</Text>
+        <Text style={styles.headerCell}>Call IV</Text>
+        <Text style={styles.headerCell}>Put IV</Text>
       </View>
       <FlatList
         data={data}
@@ -206,6 +322,48 @@ export const createStrategy = async (strategyData) => {
   }
 };
 
+// Spot and beta against SPY for each ticker: [{ ticker, price, beta }]
+export const getQuotes = async (tickers) => {
+  try {
+    const response = await api.get('/quotes', {
+      params: { tickers: tickers.join(',') }
+    });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Daily OHLC bars, oldest first: [{ date, open, high, low, close }]
+export const getPriceHistory = async (ticker, days = 120) => {
+  try {
+    const response = await api.get('/prices/history', {
+      params: { ticker, days }
+    });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getStrategies = async () => {
+  try {
+    const response = await api.get('/strategies');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const updateStrategy = async (strategyId, strategyData) => {
+  try {
+    const response = await api.put(`/strategies/${strategyId}`, strategyData);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
 // StrategyScreen.js
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, ScrollView } from 'react-native';
@@ -0,0 +1,297 @@
+import React, { useState, useMemo } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Dimensions } from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+import { analyzeEvent, atmStraddle, impliedEventMove } from '../utils/eventVol';
+import { isOptionLeg } from '../utils/pricing';
+import { DEFAULT_VOLATILITY, yearsToExpiry } from '../utils/market';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LABEL_EVERY = 10;
+const GREEK_ROWS = ['delta', 'gamma', 'theta', 'vega'];
+
+const parseEvent = ({ date, move }) => {
+  const parsedMove = parseFloat(move) / 100;
+  if (!DATE_PATTERN.test(date)) return { error: 'Enter the event date as YYYY-MM-DD' };
+  if (!(parsedMove > 0 && parsedMove < 1)) return { error: 'Expected move must be between 0 and 100%' };
+  return { event: { date, move: parsedMove }, error: null };
+};
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+// Earnings and other one-off events: splits each leg's IV into base and event
+// variance and compares the P&L just before the event with the day after,
+// once the IV crush has taken the event variance out. optionChain, if given,
+// should be the chain of the first expiry after the event; its ATM straddle
+// prices the expected move.
+const EventVolatilityPanel = ({ legs, market, optionChain }) => {
+  const [fields, setFields] = useState({ date: '', move: '5', baseVolatility: '' });
+  const [event, setEvent] = useState(null);
+  const [error, setError] = useState(null);
+  const screenWidth = Dimensions.get('window').width;
+
+  const analysis = useMemo(() => (
+    event && market ? analyzeEvent(legs, market, event) : null
+  ), [legs, market, event]);
+
+  const run = (nextFields = fields) => {
+    const parsed = parseEvent(nextFields);
+    setError(parsed.error);
+    setEvent(parsed.event || null);
+  };
+
+  // Expected move implied by the straddle of the first leg expiry after the event
+  const moveFromStraddle = () => {
+    if (!market) return;
+    if (!DATE_PATTERN.test(fields.date)) {
+      setError('Enter the event date first');
+      return;
+    }
+
+    const expiration = legs
+      .filter(isOptionLeg)
+      .map(leg => leg.expiration)
+      .filter(date => date > fields.date)
+      .sort()[0];
+    const straddle = optionChain && optionChain.length > 0 ? atmStraddle(optionChain, market.spot) : null;
+    if (!expiration || !straddle) {
+      setError('No straddle quote after the event date');
+      return;
+    }
+
+    const baseVolatility = parseFloat(fields.baseVolatility) / 100 || DEFAULT_VOLATILITY;
+    const move = impliedEventMove({
+      straddle: straddle.price,
+      spot: market.spot,
+      timeToExpiry: yearsToExpiry(expiration, market.valuationDate),
+      baseVolatility,
+    });
+    const nextFields = { ...fields, move: (move * 100).toFixed(2) };
+    setFields(nextFields);
+    run(nextFields);
+  };
+
+  const renderGreeks = () => (
+    <View style={styles.table}>
+      <View style={styles.tableRow}>
+        <Text style={[styles.tableLabel, styles.tableHeader]}>Greek</Text>
+        <Text style={[styles.tableCell, styles.tableHeader]}>Before</Text>
+        <Text style={[styles.tableCell, styles.tableHeader]}>After</Text>
+      </View>
+      {GREEK_ROWS.map(greek => (
+        <View key={greek} style={styles.tableRow}>
+          <Text style={styles.tableLabel}>{greek.charAt(0).toUpperCase() + greek.slice(1)}</Text>
+          <Text style={styles.tableCell}>{analysis.before.greeks[greek].toFixed(2)}</Text>
+          <Text style={styles.tableCell}>{analysis.after.greeks[greek].toFixed(2)}</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {[
+        { key: 'date', label: 'Event Date', placeholder: 'YYYY-MM-DD' },
+        { key: 'move', label: 'Expected Move (%)', placeholder: '5', numeric: true },
+        { key: 'baseVolatility', label: 'Base IV for Straddle (%)', placeholder: '20', numeric: true },
+      ].map(({ key, label, placeholder, numeric }) => (
+        <View key={key} style={styles.row}>
+          <Text style={styles.label}>{label}</Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            value={fields[key]}
+            onChangeText={(text) => setFields(prev => ({ ...prev, [key]: text }))}
+            onSubmitEditing={() => run()}
+            keyboardType={numeric ? 'numeric' : 'default'}
+            placeholder={placeholder}
+          />
+        </View>
+      ))}
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.secondaryButton} onPress={moveFromStraddle}>
+          <Text style={styles.secondaryButtonText}>Move from Straddle</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.primaryButton} onPress={() => run()}>
+          <Text style={styles.primaryButtonText}>Apply Event</Text>
+        </TouchableOpacity>
+      </View>
+      {error && <Text style={styles.errorText}>{error}</Text>}
+
+      {analysis && (
+        <>
+          <View style={styles.summary}>
+            <Text style={styles.summaryText}>
+              Expected move ±{money(analysis.expectedMove)} · event vol{' '}
+              {(analysis.eventVolatility * 100).toFixed(1)}% · {analysis.daysToEvent} days away
+            </Text>
+            <Text style={styles.summaryText}>
+              P&L before {money(analysis.before.pnl)} → after {money(analysis.after.pnl)}
+            </Text>
+            <Text style={[styles.crushText, { color: analysis.crush >= 0 ? '#10b981' : '#ef4444' }]}>
+              IV crush at unchanged spot: {money(analysis.crush)}
+            </Text>
+          </View>
+
+          <LineChart
+            data={{
+              labels: analysis.before.curve.map((point, index) => (
+                index % LABEL_EVERY === 0 ? point.price.toFixed(0) : ''
+              )),
+              datasets: [
+                { data: analysis.before.curve.map(point => point.pnl) },
+                {
+                  data: analysis.after.curve.map(point => point.pnl),
+                  color: (opacity = 1) => `rgba(245, 158, 11, ${opacity})`,
+                },
+              ],
+              legend: ['Before event', 'After crush'],
+            }}
+            width={screenWidth - 32}
+            height={220}
+            chartConfig={{
+              backgroundColor: '#ffffff',
+              backgroundGradientFrom: '#ffffff',
+              backgroundGradientTo: '#ffffff',
+              decimalPlaces: 0,
+              color: (opacity = 1) => `rgba(37, 99, 235, ${opacity})`,
+              style: {
+                borderRadius: 16
+              }
+            }}
+            withDots={false}
+            style={styles.chart}
+          />
+
+          {renderGreeks()}
+
+          <View style={styles.table}>
+            <View style={styles.tableRow}>
+              <Text style={[styles.tableLabel, styles.tableHeader]}>Leg</Text>
+              <Text style={[styles.tableCell, styles.tableHeader]}>Total IV</Text>
+              <Text style={[styles.tableCell, styles.tableHeader]}>Base IV</Text>
+            </View>
+            {analysis.volatilities.map(({ leg, total, base }, index) => (
+              <View key={leg.id ?? index} style={styles.tableRow}>
+                <Text style={styles.tableLabel}>
+                  {leg.action === 'buy' ? '+' : '-'}{leg.quantity} {leg.strike} {leg.type} {leg.expiration}
+                </Text>
+                <Text style={styles.tableCell}>{(total * 100).toFixed(1)}%</Text>
+                <Text style={styles.tableCell}>{(base * 100).toFixed(1)}%</Text>
+              </View>
+            ))}
+          </View>
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  label: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  input: {
+    width: 130,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 8,
+    fontSize: 16,
+    textAlign: 'right',
+    backgroundColor: '#fff',
+  },
+  inputError: {
+    borderColor: '#ef4444',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginBottom: 8,
+  },
+  primaryButton: {
+    marginLeft: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2563eb',
+  },
+  primaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2563eb',
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  summary: {
+    backgroundColor: '#f3f4f6',
+    padding: 12,
+    borderRadius: 6,
+    marginVertical: 8,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#374151',
+    marginBottom: 4,
+  },
+  crushText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  chart: {
+    marginVertical: 8,
+    borderRadius: 16,
+  },
+  table: {
+    marginTop: 8,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  tableHeader: {
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  tableLabel: {
+    flex: 2,
+    fontSize: 13,
+    color: '#374151',
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 13,
+    color: '#1f2937',
+    textAlign: 'right',
+  },
+});
+
+export default EventVolatilityPanel;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput, Switch } from 'react-native';
+import { parseFeeSchedule } from '../utils/fees';
+
+const FIELDS = [
+  { key: 'perContract', label: 'Commission per Contract' },
+  { key: 'exchangePerContract', label: 'Exchange Fee per Contract' },
+  { key: 'perShare', label: 'Commission per Share' },
+  { key: 'perOrder', label: 'Ticket Charge per Order' },
+  { key: 'minimumPerOrder', label: 'Minimum Commission per Order' },
+];
+
+// Dollar amounts of the broker's fee schedule, applied to every P&L figure
+const FeeScheduleInput = ({ fees, onChange }) => {
+  const [values, setValues] = useState(() => (
+    Object.fromEntries(FIELDS.map(({ key }) => [key, String(fees[key] ?? 0)]))
+  ));
+  const [error, setError] = useState(null);
+
+  const submit = (nextValues, roundTrip) => {
+    const schedule = parseFeeSchedule({ ...nextValues, roundTrip });
+
+    if (!schedule) {
+      setError('Fees must be dollar amounts of 0 or more');
+      return;
+    }
+
+    setError(null);
+    onChange(schedule);
+  };
+
+  return (
+    <View style={styles.container}>
+      {FIELDS.map(({ key, label }) => (
+        <View key={key} style={styles.row}>
+          <Text style={styles.label}>{label}</Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            value={values[key]}
+            onChangeText={(text) => setValues(prev => ({ ...prev, [key]: text }))}
+            onEndEditing={() => submit(values, fees.roundTrip)}
+            onSubmitEditing={() => submit(values, fees.roundTrip)}
+            keyboardType="numeric"
+            placeholder="0.00"
+          />
+        </View>
+      ))}
+      <View style={styles.switchRow}>
+        <Text style={styles.label}>Include Closing Fees</Text>
+        <Switch
+          value={fees.roundTrip}
+          onValueChange={(roundTrip) => submit(values, roundTrip)}
+          trackColor={{ false: '#767577', true: '#2563eb' }}
+          thumbColor={fees.roundTrip ? '#ffffff' : '#f4f3f4'}
+        />
+      </View>
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  label: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  input: {
+    width: 90,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 8,
+    fontSize: 16,
+    textAlign: 'right',
+    backgroundColor: '#fff',
+  },
+  inputError: {
+    borderColor: '#ef4444',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginTop: 4,
+  },
+});
+
+export default FeeScheduleInput;
@@ -0,0 +1,241 @@
+import React, { useState, useMemo } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { getPriceHistory } from '../services/api';
+import {
+  atmImpliedVolatility,
+  parsePriceCsv,
+  premiumVerdict,
+  realizedVolatilities,
+} from '../utils/historicalVol';
+import { isOptionLeg } from '../utils/pricing';
+
+const ESTIMATORS = [
+  { key: 'closeToClose', label: 'Close' },
+  { key: 'parkinson', label: 'Parkinson' },
+  { key: 'yangZhang', label: 'Yang-Zhang' },
+];
+
+const VERDICT_COLORS = { rich: '#ef4444', fair: '#6b7280', cheap: '#10b981' };
+
+const VERDICT_TEXT = {
+  rich: 'Implied is rich to realized: premium is expensive to buy, attractive to sell.',
+  fair: 'Implied is in line with realized.',
+  cheap: 'Implied is cheap to realized: premium is inexpensive to buy, poor to sell.',
+};
+
+const percent = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+// Realized volatility from daily price history, pasted as CSV or loaded from
+// the API, against the chain's ATM implied volatility (or the legs' own IVs)
+const HistoricalVolatilityPanel = ({ ticker, legs, optionChain, currentPrice }) => {
+  const [csvText, setCsvText] = useState('');
+  const [bars, setBars] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const realized = useMemo(() => (bars ? realizedVolatilities(bars) : []), [bars]);
+
+  const implied = useMemo(() => {
+    const chainVolatility = atmImpliedVolatility(optionChain, currentPrice);
+    if (chainVolatility) return { volatility: chainVolatility, source: 'Chain ATM IV' };
+
+    const legVolatilities = legs.filter(isOptionLeg).map(leg => leg.volatility).filter(Boolean);
+    if (legVolatilities.length === 0) return null;
+    return {
+      volatility: legVolatilities.reduce((sum, volatility) => sum + volatility, 0) / legVolatilities.length,
+      source: 'Average leg IV',
+    };
+  }, [optionChain, currentPrice, legs]);
+
+  // Compared against the Yang-Zhang estimate over the longest window with data
+  const comparison = useMemo(() => {
+    const reference = [...realized].reverse().find(row => row.yangZhang !== null);
+    if (!implied || !reference) return null;
+    return { window: reference.window, ...premiumVerdict(implied.volatility, reference.yangZhang) };
+  }, [implied, realized]);
+
+  const loadCsv = () => {
+    const parsed = parsePriceCsv(csvText);
+    setError(parsed.error);
+    if (parsed.bars) setBars(parsed.bars);
+  };
+
+  const loadFromApi = async () => {
+    if (!ticker) {
+      setError('This strategy has no ticker to load prices for');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setBars(await getPriceHistory(ticker));
+      setError(null);
+    } catch (loadError) {
+      setError('Failed to load price history');
+      console.error('Price history error:', loadError);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <TextInput
+        style={[styles.csvInput, error && styles.inputError]}
+        value={csvText}
+        onChangeText={setCsvText}
+        placeholder={'Date,Open,High,Low,Close\n2024-01-02,185.1,186.7,183.9,185.6'}
+        multiline
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.secondaryButton} onPress={loadFromApi} disabled={loading}>
+          <Text style={styles.secondaryButtonText}>Load {ticker || ''} History</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.primaryButton} onPress={loadCsv}>
+          <Text style={styles.primaryButtonText}>Use CSV</Text>
+        </TouchableOpacity>
+      </View>
+      {loading && <ActivityIndicator color="#2563eb" />}
+      {error && <Text style={styles.errorText}>{error}</Text>}
+
+      {bars && (
+        <>
+          <Text style={styles.caption}>
+            {bars.length} days, {bars[0]?.date} to {bars[bars.length - 1]?.date}
+          </Text>
+          <View style={styles.tableRow}>
+            <Text style={[styles.tableLabel, styles.tableHeader]}>Window</Text>
+            {ESTIMATORS.map(estimator => (
+              <Text key={estimator.key} style={[styles.tableCell, styles.tableHeader]}>
+                {estimator.label}
+              </Text>
+            ))}
+          </View>
+          {realized.map(row => (
+            <View key={row.window} style={styles.tableRow}>
+              <Text style={styles.tableLabel}>{row.window}d</Text>
+              {ESTIMATORS.map(estimator => (
+                <Text key={estimator.key} style={styles.tableCell}>{percent(row[estimator.key])}</Text>
+              ))}
+            </View>
+          ))}
+        </>
+      )}
+
+      {implied && (
+        <View style={styles.summary}>
+          <Text style={styles.summaryText}>
+            {implied.source}: {percent(implied.volatility)}
+          </Text>
+          {comparison && comparison.verdict && (
+            <>
+              <Text style={[styles.verdictText, { color: VERDICT_COLORS[comparison.verdict] }]}>
+                IV / {comparison.window}d Yang-Zhang: {comparison.ratio.toFixed(2)}x
+              </Text>
+              <Text style={styles.summaryText}>{VERDICT_TEXT[comparison.verdict]}</Text>
+            </>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  csvInput: {
+    minHeight: 100,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 8,
+    fontSize: 13,
+    backgroundColor: '#fff',
+    textAlignVertical: 'top',
+  },
+  inputError: {
+    borderColor: '#ef4444',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginVertical: 8,
+  },
+  primaryButton: {
+    marginLeft: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2563eb',
+  },
+  primaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2563eb',
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  caption: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginBottom: 4,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  tableHeader: {
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  tableLabel: {
+    flex: 1,
+    fontSize: 13,
+    color: '#374151',
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 13,
+    color: '#1f2937',
+    textAlign: 'right',
+  },
+  summary: {
+    backgroundColor: '#f3f4f6',
+    padding: 12,
+    borderRadius: 6,
+    marginTop: 12,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#374151',
+    marginBottom: 4,
+  },
+  verdictText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+});
+
+export default HistoricalVolatilityPanel;
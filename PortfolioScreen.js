@@ -0,0 +1,374 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import Analysis from '../components/Analysis';
+import { getQuotes, getStrategies } from '../services/api';
+import { analyzePortfolio, BENCHMARK_TICKER, portfolioTickers } from '../utils/portfolio';
+import { recognizeStrategy } from '../utils/strategyRecognizer';
+
+const TOTAL_METRICS = [
+  { key: 'delta', label: 'Delta' },
+  { key: 'betaWeightedDelta', label: `β-Delta (${BENCHMARK_TICKER})` },
+  { key: 'gamma', label: 'Gamma' },
+  { key: 'theta', label: 'Theta' },
+  { key: 'vega', label: 'Vega' },
+  { key: 'pnl', label: 'P&L', money: true },
+];
+
+const TICKER_COLUMNS = [
+  { key: 'delta', label: 'Delta' },
+  { key: 'betaWeightedDelta', label: 'β-Delta' },
+  { key: 'theta', label: 'Theta' },
+  { key: 'vega', label: 'Vega' },
+  { key: 'pnl', label: 'P&L', money: true },
+];
+
+const formatMetric = (value, money) => {
+  return money ? `$${value.toFixed(2)}` : value.toFixed(2);
+};
+
+const pnlColor = (value) => (value >= 0 ? '#10b981' : '#ef4444');
+
+// Quotes arrive as a list; the portfolio model wants them keyed by ticker
+const quotesByTicker = (quotes) => {
+  return quotes.reduce((map, quote) => ({ ...map, [quote.ticker]: quote }), {});
+};
+
+// Every saved strategy repriced against its own underlying, with totals,
+// a per-ticker breakdown and drill-down into the Analysis tabs
+const PortfolioScreen = ({ navigation }) => {
+  const [strategies, setStrategies] = useState([]);
+  const [quotes, setQuotes] = useState({});
+  const [portfolio, setPortfolio] = useState(null);
+  const [selectedStrategyId, setSelectedStrategyId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    loadPortfolio();
+  }, []);
+
+  useEffect(() => {
+    setPortfolio(analyzePortfolio(strategies, quotes));
+  }, [strategies, quotes]);
+
+  const fetchPortfolio = async () => {
+    const saved = await getStrategies();
+    const quoteList = await getQuotes(portfolioTickers(saved));
+    setStrategies(saved);
+    setQuotes(quotesByTicker(quoteList));
+  };
+
+  const loadPortfolio = async () => {
+    try {
+      setLoading(true);
+      await fetchPortfolio();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to load saved strategies');
+      console.error('Portfolio error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    try {
+      await fetchPortfolio();
+    } catch (error) {
+      console.error('Portfolio refresh error:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const selectedPosition = portfolio?.positions.find(
+    position => position.strategy.id === selectedStrategyId
+  );
+
+  if (selectedPosition) {
+    const { strategy, exposure } = selectedPosition;
+
+    return (
+      <View style={styles.container}>
+        <View style={styles.detailHeader}>
+          <TouchableOpacity onPress={() => setSelectedStrategyId(null)}>
+            <Text style={styles.linkText}>‹ Portfolio</Text>
+          </TouchableOpacity>
+          <Text style={styles.detailTitle}>
+            {strategy.ticker} · {recognizeStrategy(strategy.options).name}
+          </Text>
+          <TouchableOpacity onPress={() => navigation.navigate('RollScreen', { strategy })}>
+            <Text style={styles.linkText}>Roll</Text>
+          </TouchableOpacity>
+        </View>
+        <Analysis strategy={strategy} currentPrice={exposure.spot} />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+    >
+      <View style={styles.header}>
+        <Text style={styles.title}>Portfolio</Text>
+        <Text style={styles.subtitle}>
+          {strategies.length} strategies
+          {quotes[BENCHMARK_TICKER] ? ` · ${BENCHMARK_TICKER} $${quotes[BENCHMARK_TICKER].price.toFixed(2)}` : ''}
+        </Text>
+      </View>
+
+      {loading || !portfolio ? (
+        <ActivityIndicator size="large" color="#2563eb" style={styles.loading} />
+      ) : (
+        <>
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Totals</Text>
+            <View style={styles.metricsGrid}>
+              {TOTAL_METRICS.map(metric => (
+                <View key={metric.key} style={styles.metricCard}>
+                  <Text style={styles.metricLabel}>{metric.label}</Text>
+                  <Text
+                    style={[
+                      styles.metricValue,
+                      metric.money && { color: pnlColor(portfolio.totals[metric.key]) },
+                    ]}
+                  >
+                    {formatMetric(portfolio.totals[metric.key], metric.money)}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          </View>
+
+          {portfolio.byTicker.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Exposure by Ticker</Text>
+              <View style={styles.tableRow}>
+                <Text style={[styles.tickerCell, styles.headerCell]}>Ticker</Text>
+                {TICKER_COLUMNS.map(column => (
+                  <Text key={column.key} style={[styles.tableCell, styles.headerCell]}>
+                    {column.label}
+                  </Text>
+                ))}
+              </View>
+              {portfolio.byTicker.map(row => (
+                <View key={row.ticker} style={styles.tableRow}>
+                  <View style={styles.tickerCell}>
+                    <Text style={styles.tickerText}>{row.ticker}</Text>
+                    <Text style={styles.tickerDetail}>
+                      β {row.beta.toFixed(2)} · {row.strategies}
+                    </Text>
+                  </View>
+                  {TICKER_COLUMNS.map(column => (
+                    <Text
+                      key={column.key}
+                      style={[styles.tableCell, column.money && { color: pnlColor(row[column.key]) }]}
+                    >
+                      {formatMetric(row[column.key], column.money)}
+                    </Text>
+                  ))}
+                </View>
+              ))}
+            </View>
+          )}
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Strategies</Text>
+            {portfolio.positions.map(({ strategy, exposure }) => (
+              <TouchableOpacity
+                key={strategy.id}
+                style={styles.positionRow}
+                onPress={() => setSelectedStrategyId(strategy.id)}
+              >
+                <View style={styles.positionInfo}>
+                  <Text style={styles.positionTitle}>
+                    {strategy.ticker} · {recognizeStrategy(strategy.options).name}
+                  </Text>
+                  <Text style={styles.positionDetail}>
+                    Δ {exposure.delta.toFixed(1)} · β-Δ {exposure.betaWeightedDelta.toFixed(1)}
+                    {' '}· Θ {exposure.theta.toFixed(2)} · V {exposure.vega.toFixed(2)}
+                  </Text>
+                </View>
+                <Text style={[styles.positionPnL, { color: pnlColor(exposure.pnl) }]}>
+                  ${exposure.pnl.toFixed(2)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+            {portfolio.unpriced.map(strategy => (
+              <View key={strategy.id} style={styles.positionRow}>
+                <Text style={styles.unpricedText}>
+                  {strategy.ticker}: no quote, left out of the totals
+                </Text>
+              </View>
+            ))}
+            {strategies.length === 0 && (
+              <Text style={styles.emptyText}>No saved strategies yet.</Text>
+            )}
+          </View>
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  header: {
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6b7280',
+    marginTop: 4,
+  },
+  loading: {
+    marginTop: 50,
+  },
+  section: {
+    margin: 16,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 12,
+  },
+  metricsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  metricCard: {
+    width: '48%',
+    backgroundColor: '#f3f4f6',
+    padding: 12,
+    borderRadius: 6,
+    marginBottom: 8,
+  },
+  metricLabel: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  metricValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginTop: 4,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  headerCell: {
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  tickerCell: {
+    flex: 1.3,
+  },
+  tickerText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  tickerDetail: {
+    fontSize: 11,
+    color: '#6b7280',
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 12,
+    color: '#1f2937',
+    textAlign: 'right',
+  },
+  positionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f3f4f6',
+    padding: 12,
+    borderRadius: 6,
+    marginBottom: 8,
+  },
+  positionInfo: {
+    flex: 1,
+  },
+  positionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  positionDetail: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  positionPnL: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  unpricedText: {
+    fontSize: 13,
+    color: '#9ca3af',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6b7280',
+    textAlign: 'center',
+  },
+  detailHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  detailTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  linkText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+});
+
+export default PortfolioScreen;
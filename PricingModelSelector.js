@@ -0,0 +1,61 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { PRICING_MODELS } from '../utils/pricing';
+
+const PricingModelSelector = ({ model, onChange }) => (
+  <View style={styles.container}>
+    <Text style={styles.label}>Pricing Model</Text>
+    <View style={styles.segments}>
+      {PRICING_MODELS.map(option => (
+        <TouchableOpacity
+          key={option.id}
+          style={[styles.segment, model === option.id && styles.activeSegment]}
+          onPress={() => onChange(option.id)}
+        >
+          <Text style={[styles.segmentText, model === option.id && styles.activeSegmentText]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  segments: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  segment: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    backgroundColor: '#fff',
+  },
+  activeSegment: {
+    backgroundColor: '#2563eb',
+  },
+  segmentText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#374151',
+  },
+  activeSegmentText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
+
+export default PricingModelSelector;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput } from 'react-native';
+import { formatRateCurve, parseRateCurve } from '../utils/rates';
+
+// Accepts a flat rate ("5.25") or a term structure ("1M:5.3, 6M:5.1, 2Y:4.6"), in percent
+const RateCurveInput = ({ rateCurve, onChange }) => {
+  const [text, setText] = useState(formatRateCurve(rateCurve));
+  const [error, setError] = useState(null);
+
+  const handleEndEditing = () => {
+    const curve = parseRateCurve(text);
+
+    if (!curve) {
+      setError('Enter a rate like 5.25 or pillars like 1M:5.3, 1Y:4.8');
+      return;
+    }
+
+    setError(null);
+    onChange(curve);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Risk-Free Rate (%)</Text>
+      <TextInput
+        style={[styles.input, error && styles.inputError]}
+        value={text}
+        onChangeText={setText}
+        onEndEditing={handleEndEditing}
+        onSubmitEditing={handleEndEditing}
+        placeholder="5.00 or 1M:5.3, 1Y:4.8"
+        autoCapitalize="characters"
+      />
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#fff',
+  },
+  inputError: {
+    borderColor: '#ef4444',
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginTop: 4,
+  },
+});
+
+export default RateCurveInput;
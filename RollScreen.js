@@ -0,0 +1,544 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { getOptionChain, getQuotes, updateStrategy } from '../services/api';
+import { emptyCarry } from '../utils/dividends';
+import { createMarket } from '../utils/market';
+import { withImpliedVolatilities } from '../utils/impliedVol';
+import { expirationsOf } from '../utils/payoffAnalysis';
+import { isOptionLeg, isUnderlyingLeg } from '../utils/pricing';
+import { noFees } from '../utils/fees';
+import { planRoll } from '../utils/roll';
+
+const ROLL_MODES = [
+  { value: 'keep', label: 'Keep' },
+  { value: 'roll', label: 'Roll' },
+  { value: 'close', label: 'Close' },
+];
+
+const GREEK_ROWS = ['delta', 'gamma', 'theta', 'vega'];
+
+const describeLeg = (leg) => {
+  const strike = isUnderlyingLeg(leg) ? '' : ` $${leg.strike}`;
+  const expiration = leg.expiration ? ` ${leg.expiration}` : '';
+  return `${leg.action.toUpperCase()} ${leg.quantity}x ${leg.type.toUpperCase()}${strike}${expiration}`;
+};
+
+const nearestStrike = (rows, target) => {
+  return rows.reduce((best, row) => (
+    best === null || Math.abs(row.strike - target) < Math.abs(best - target) ? row.strike : best
+  ), null);
+};
+
+const formatMoney = (value) => {
+  return Number.isFinite(value) ? `$${value.toFixed(2)}` : 'Unlimited';
+};
+
+const formatCash = (value) => {
+  return `${value >= 0 ? 'Credit' : 'Debit'} $${Math.abs(value).toFixed(2)}`;
+};
+
+const formatBreakevens = (analysis) => {
+  if (!analysis || analysis.breakevens.length === 0) return 'None';
+  return analysis.breakevens.map(price => `$${price.toFixed(2)}`).join(', ');
+};
+
+// Closes chosen legs of a saved strategy at current quotes and reopens them at
+// a new strike and/or expiry. route.params.strategy is the saved strategy,
+// including its id.
+const RollScreen = ({ route, navigation }) => {
+  const { strategy } = route.params;
+  const legs = strategy.options || [];
+  // Memoized so the market, and with it the roll plan's analysis, is not
+  // rebuilt on every render when the strategy saved no carry or fees
+  const carry = useMemo(() => strategy.carry || emptyCarry(), [strategy.carry]);
+  const fees = useMemo(() => strategy.fees || noFees(), [strategy.fees]);
+
+  const [optionChains, setOptionChains] = useState({});
+  const [availableExpirations, setAvailableExpirations] = useState([]);
+  const [currentPrice, setCurrentPrice] = useState(null);
+  // Keyed by leg id: { id, mode, strike, expiration }
+  const [rolls, setRolls] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchChain = async (expiration) => {
+    const data = await getOptionChain(strategy.ticker, expiration);
+    const spot = data.currentPrice || 150;
+    const market = createMarket({ spot, carry });
+    const rows = withImpliedVolatilities(data.options || [], market, expiration);
+    setOptionChains(prev => ({ ...prev, [expiration]: rows }));
+    if (data.expirations) {
+      setAvailableExpirations(data.expirations);
+    }
+    setCurrentPrice(spot);
+    return rows;
+  };
+
+  useEffect(() => {
+    const loadPosition = async () => {
+      try {
+        setLoading(true);
+        // The spot comes from a quote, so positions of only shares or
+        // futures (no option chains to load) are priced too
+        const [quotes] = await Promise.all([
+          getQuotes([strategy.ticker]),
+          ...expirationsOf(legs.filter(isOptionLeg)).map(fetchChain),
+        ]);
+        const quote = quotes.find(item => item.ticker === strategy.ticker);
+        if (quote) {
+          setCurrentPrice(quote.price);
+        }
+      } catch (error) {
+        Alert.alert('Error', 'Failed to load the quote and option chains');
+        console.error('Roll load error:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPosition();
+  }, [strategy.id]);
+
+  const ensureChain = async (expiration) => {
+    if (optionChains[expiration]) return optionChains[expiration];
+    try {
+      return await fetchChain(expiration);
+    } catch (error) {
+      Alert.alert('Error', `Failed to load the ${expiration} chain`);
+      console.error('Roll chain error:', error);
+      return [];
+    }
+  };
+
+  const updateRoll = (leg, changes) => {
+    setRolls(prev => ({
+      ...prev,
+      [leg.id]: {
+        id: leg.id,
+        mode: 'keep',
+        strike: leg.strike,
+        expiration: leg.expiration,
+        ...prev[leg.id],
+        ...changes,
+      },
+    }));
+  };
+
+  const handleExpirationSelect = async (leg, expiration) => {
+    const rows = await ensureChain(expiration);
+    const current = rolls[leg.id] || {};
+    // Keep the chosen strike when the new expiry lists it
+    const hasStrike = rows.some(row => row.strike === (current.strike ?? leg.strike));
+    updateRoll(leg, hasStrike ? { expiration } : { expiration, strike: nearestStrike(rows, leg.strike) });
+  };
+
+  const stepStrike = (leg, step) => {
+    const roll = rolls[leg.id];
+    const strikes = (optionChains[roll.expiration] || []).map(row => row.strike).sort((a, b) => a - b);
+    const index = strikes.indexOf(roll.strike);
+    const next = strikes[index + step];
+    if (index >= 0 && next !== undefined) {
+      updateRoll(leg, { strike: next });
+    }
+  };
+
+  const market = useMemo(() => (
+    currentPrice === null ? null : createMarket({ spot: currentPrice, carry, fees })
+  ), [currentPrice, carry, fees]);
+
+  const rollRequests = Object.values(rolls)
+    .filter(roll => roll.mode !== 'keep')
+    .map(roll => ({
+      id: roll.id,
+      closeOnly: roll.mode === 'close',
+      strike: roll.strike,
+      expiration: roll.expiration,
+    }));
+
+  const { plan, error } = useMemo(() => {
+    if (!market || rollRequests.length === 0) return { plan: null, error: null };
+    return planRoll(legs, rollRequests, { chains: optionChains, market });
+  }, [market, rolls, optionChains]);
+
+  const confirmRoll = async () => {
+    try {
+      setSaving(true);
+      const expirations = expirationsOf(plan.legs);
+      await updateStrategy(strategy.id, {
+        ...strategy,
+        expiration: expirations[0] || strategy.expiration,
+        expirations,
+        options: plan.legs,
+        // Kept so the position's adjustments can be reviewed later
+        rolls: [
+          ...(strategy.rolls || []),
+          {
+            date: new Date().toISOString(),
+            closing: plan.closing,
+            opening: plan.opening,
+            netCredit: plan.netCredit,
+            fees: plan.fees,
+            realizedPnL: plan.realizedPnL,
+          },
+        ],
+      });
+      Alert.alert('Success', 'Strategy rolled successfully');
+      navigation.goBack();
+    } catch (saveError) {
+      Alert.alert('Error', 'Failed to save the rolled strategy');
+      console.error('Roll save error:', saveError);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderLeg = (leg) => {
+    const roll = rolls[leg.id] || { mode: 'keep' };
+    const modes = isUnderlyingLeg(leg) ? ROLL_MODES.filter(mode => mode.value !== 'roll') : ROLL_MODES;
+
+    return (
+      <View key={leg.id} style={styles.legCard}>
+        <Text style={styles.legText}>{describeLeg(leg)} @ ${leg.premium.toFixed(2)}</Text>
+        <View style={styles.modeRow}>
+          {modes.map(mode => (
+            <TouchableOpacity
+              key={mode.value}
+              style={[styles.modeButton, roll.mode === mode.value && styles.modeButtonActive]}
+              onPress={() => updateRoll(leg, { mode: mode.value })}
+            >
+              <Text style={[styles.modeText, roll.mode === mode.value && styles.modeTextActive]}>
+                {mode.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {roll.mode === 'roll' && (
+          <>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+              {availableExpirations.map(expiration => (
+                <TouchableOpacity
+                  key={expiration}
+                  style={[styles.chip, roll.expiration === expiration && styles.chipActive]}
+                  onPress={() => handleExpirationSelect(leg, expiration)}
+                >
+                  <Text style={[styles.chipText, roll.expiration === expiration && styles.chipTextActive]}>
+                    {expiration}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            <View style={styles.strikeRow}>
+              <TouchableOpacity style={styles.stepButton} onPress={() => stepStrike(leg, -1)}>
+                <Text style={styles.stepText}>−</Text>
+              </TouchableOpacity>
+              <Text style={styles.strikeText}>Strike ${roll.strike}</Text>
+              <TouchableOpacity style={styles.stepButton} onPress={() => stepStrike(leg, 1)}>
+                <Text style={styles.stepText}>+</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const renderComparisonRow = (label, before, after, change) => (
+    <View key={label} style={styles.compareRow}>
+      <Text style={styles.compareLabel}>{label}</Text>
+      <Text style={styles.compareValue}>{before}</Text>
+      <Text style={styles.compareValue}>{after}</Text>
+      <Text style={styles.compareValue}>{change ?? ''}</Text>
+    </View>
+  );
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Roll {strategy.ticker}</Text>
+        {currentPrice !== null && (
+          <Text style={styles.subtitle}>Spot ${currentPrice.toFixed(2)}</Text>
+        )}
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="large" color="#2563eb" style={styles.loading} />
+      ) : (
+        <>
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Position</Text>
+            {legs.map(renderLeg)}
+          </View>
+
+          {error && (
+            <View style={styles.section}>
+              <Text style={styles.errorText}>{error}</Text>
+            </View>
+          )}
+
+          {plan && (
+            <>
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Roll Order</Text>
+                {plan.closing.map((leg, index) => (
+                  <Text key={`close-${index}`} style={styles.orderText}>
+                    Close: {describeLeg(leg)} @ ${leg.premium.toFixed(2)}
+                  </Text>
+                ))}
+                {plan.opening.map((leg, index) => (
+                  <Text key={`open-${index}`} style={styles.orderText}>
+                    Open: {describeLeg(leg)} @ ${leg.premium.toFixed(2)}
+                  </Text>
+                ))}
+                <Text
+                  style={[styles.totalText, { color: plan.netCredit >= 0 ? '#10b981' : '#ef4444' }]}
+                >
+                  Net {formatCash(plan.netCredit)}
+                </Text>
+                <Text style={styles.detailText}>Fees: ${plan.fees.toFixed(2)}</Text>
+                <Text style={styles.detailText}>Realized P&L: ${plan.realizedPnL.toFixed(2)}</Text>
+              </View>
+
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Before and After</Text>
+                {renderComparisonRow('', 'Before', 'After', 'Change')}
+                {renderComparisonRow(
+                  'Strategy',
+                  plan.before.strategyType.name,
+                  plan.after ? plan.after.strategyType.name : 'Flat'
+                )}
+                {renderComparisonRow('Breakevens', formatBreakevens(plan.before), formatBreakevens(plan.after))}
+                {renderComparisonRow(
+                  'Max Profit',
+                  formatMoney(plan.before.maxProfit),
+                  plan.after ? formatMoney(plan.after.maxProfit) : '—'
+                )}
+                {renderComparisonRow(
+                  'Max Loss',
+                  formatMoney(plan.before.maxLoss),
+                  plan.after ? formatMoney(plan.after.maxLoss) : '—'
+                )}
+                {renderComparisonRow(
+                  'Prob. of Profit',
+                  `${(plan.before.probabilityOfProfit * 100).toFixed(1)}%`,
+                  plan.after ? `${(plan.after.probabilityOfProfit * 100).toFixed(1)}%` : '—'
+                )}
+                {GREEK_ROWS.map(greek => renderComparisonRow(
+                  greek.charAt(0).toUpperCase() + greek.slice(1),
+                  plan.before.greeks[greek].toFixed(2),
+                  plan.after ? plan.after.greeks[greek].toFixed(2) : '0.00',
+                  `${plan.greeksChange[greek] >= 0 ? '+' : ''}${plan.greeksChange[greek].toFixed(2)}`
+                ))}
+                <Text style={styles.noteText}>
+                  Breakevens after the roll include the realized P&L of the closed legs.
+                </Text>
+              </View>
+
+              <TouchableOpacity
+                style={[styles.confirmButton, saving && styles.confirmButtonDisabled]}
+                onPress={confirmRoll}
+                disabled={saving}
+              >
+                <Text style={styles.confirmText}>{saving ? 'Saving...' : 'Confirm Roll'}</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  header: {
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6b7280',
+    marginTop: 4,
+  },
+  loading: {
+    marginTop: 50,
+  },
+  section: {
+    margin: 16,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 12,
+  },
+  legCard: {
+    backgroundColor: '#f3f4f6',
+    padding: 12,
+    borderRadius: 6,
+    marginBottom: 8,
+  },
+  legText: {
+    fontSize: 14,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  modeRow: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  modeButton: {
+    flex: 1,
+    paddingVertical: 6,
+    marginRight: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    alignItems: 'center',
+  },
+  modeButtonActive: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  modeText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  modeTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  chipRow: {
+    marginTop: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+  },
+  chipActive: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  strikeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  stepButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#e0e7ff',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#3730a3',
+  },
+  strikeText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginHorizontal: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444',
+  },
+  orderText: {
+    fontSize: 14,
+    color: '#374151',
+    marginBottom: 4,
+  },
+  totalText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 4,
+  },
+  compareRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  compareLabel: {
+    flex: 1.2,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  compareValue: {
+    flex: 1,
+    fontSize: 13,
+    color: '#1f2937',
+    textAlign: 'right',
+  },
+  noteText: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 8,
+  },
+  confirmButton: {
+    margin: 16,
+    padding: 16,
+    borderRadius: 8,
+    backgroundColor: '#2563eb',
+    alignItems: 'center',
+  },
+  confirmButtonDisabled: {
+    opacity: 0.6,
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+});
+
+export default RollScreen;
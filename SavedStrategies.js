@@ -0,0 +1,64 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { recognizeStrategy } from '../utils/strategyRecognizer';
+
+// Strategies saved with createStrategy, each with a way back into the roll
+// and adjust workflow
+const SavedStrategies = ({ strategies, onRoll }) => (
+  <View>
+    {strategies.map(strategy => (
+      <View key={strategy.id} style={styles.row}>
+        <View style={styles.info}>
+          <Text style={styles.name}>
+            {strategy.ticker} · {recognizeStrategy(strategy.options || []).name}
+          </Text>
+          <Text style={styles.detail}>
+            {(strategy.options || []).length} legs
+            {strategy.createdAt ? ` · saved ${strategy.createdAt.slice(0, 10)}` : ''}
+            {strategy.rolls && strategy.rolls.length > 0 ? ` · rolled ${strategy.rolls.length}x` : ''}
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.rollButton} onPress={() => onRoll(strategy)}>
+          <Text style={styles.rollButtonText}>Roll</Text>
+        </TouchableOpacity>
+      </View>
+    ))}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  info: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  detail: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  rollButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#2563eb',
+  },
+  rollButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+});
+
+export default SavedStrategies;
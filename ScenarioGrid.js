@@ -0,0 +1,360 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { formatShocks, parseShocks, runScenarioGrid, SCENARIO_PRESETS } from '../utils/scenarios';
+import { deleteScenarioPreset, loadScenarioPresets, saveScenarioPreset } from '../services/scenarioStorage';
+
+const METRICS = [
+  { id: 'pnl', label: 'P&L' },
+  { id: 'change', label: 'Change' },
+  { id: 'delta', label: 'Delta' },
+  { id: 'gamma', label: 'Gamma' },
+  { id: 'theta', label: 'Theta' },
+  { id: 'vega', label: 'Vega' },
+];
+
+// Form text for a preset: spot shocks in percent, vol shocks in vol points
+const fieldsFromPreset = (preset) => ({
+  spot: formatShocks(preset.spotShocks, 100),
+  vol: formatShocks(preset.volShocks, 100),
+  days: formatShocks(preset.dayShocks),
+});
+
+const parseFields = (fields) => {
+  const spotShocks = parseShocks(fields.spot, 100);
+  const volShocks = parseShocks(fields.vol, 100);
+  const dayShocks = parseShocks(fields.days);
+
+  if (!spotShocks || spotShocks.some(shock => shock <= -1)) {
+    return { error: 'Spot shocks must be percents above -100' };
+  }
+  if (!volShocks) {
+    return { error: 'Vol shocks must be vol points, e.g. -10, 0, 10' };
+  }
+  if (!dayShocks || dayShocks.some(days => days < 0 || !Number.isInteger(days))) {
+    return { error: 'Days must be whole numbers of 0 or more' };
+  }
+  return { grid: { spotShocks, volShocks, dayShocks }, error: null };
+};
+
+const signed = (value, digits = 0) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+const cellValue = (cell, metric) => {
+  if (metric === 'pnl' || metric === 'change') return cell[metric];
+  return cell.greeks[metric];
+};
+
+// Reprices the strategy under every combination of spot, vol and time shocks.
+// market is the analysis market and smile the fitted smile, if any.
+const ScenarioGrid = ({ legs, market, smile }) => {
+  const [presets, setPresets] = useState(SCENARIO_PRESETS);
+  const [selectedPresetId, setSelectedPresetId] = useState(SCENARIO_PRESETS[0].id);
+  const [fields, setFields] = useState(() => fieldsFromPreset(SCENARIO_PRESETS[0]));
+  const [grid, setGrid] = useState(SCENARIO_PRESETS[0]);
+  const [error, setError] = useState(null);
+  const [dayIndex, setDayIndex] = useState(0);
+  const [metric, setMetric] = useState('pnl');
+  const [presetName, setPresetName] = useState('');
+
+  useEffect(() => {
+    loadScenarioPresets().then(setPresets);
+  }, []);
+
+  const tables = useMemo(() => (
+    market ? runScenarioGrid(legs, market, grid, smile) : []
+  ), [legs, market, grid, smile]);
+
+  const selectPreset = (preset) => {
+    setSelectedPresetId(preset.id);
+    setFields(fieldsFromPreset(preset));
+    setGrid(preset);
+    setDayIndex(0);
+    setError(null);
+  };
+
+  const runShocks = () => {
+    const parsed = parseFields(fields);
+    setError(parsed.error);
+    if (parsed.grid) {
+      setGrid(parsed.grid);
+      setSelectedPresetId(null);
+      setDayIndex(0);
+    }
+    return parsed.grid;
+  };
+
+  const savePreset = async () => {
+    const label = presetName.trim();
+    if (!label) {
+      setError('Name the preset before saving it');
+      return;
+    }
+
+    const parsedGrid = runShocks();
+    if (!parsedGrid) return;
+
+    try {
+      const preset = await saveScenarioPreset({ label, ...parsedGrid });
+      setPresets(await loadScenarioPresets());
+      setSelectedPresetId(preset.id);
+      setPresetName('');
+    } catch (saveError) {
+      Alert.alert('Error', 'Failed to save the scenario preset');
+      console.error('Save scenario preset error:', saveError);
+    }
+  };
+
+  const deletePreset = (preset) => {
+    Alert.alert('Delete Preset', `Delete "${preset.label}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          await deleteScenarioPreset(preset.id);
+          setPresets(await loadScenarioPresets());
+          if (selectedPresetId === preset.id) setSelectedPresetId(null);
+        },
+      },
+    ]);
+  };
+
+  const table = tables[Math.min(dayIndex, tables.length - 1)];
+  const moneyMetric = metric === 'pnl' || metric === 'change';
+
+  return (
+    <View style={styles.container}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+        {presets.map(preset => (
+          <TouchableOpacity
+            key={preset.id}
+            style={[styles.chip, selectedPresetId === preset.id && styles.chipActive]}
+            onPress={() => selectPreset(preset)}
+            onLongPress={() => !preset.builtIn && deletePreset(preset)}
+          >
+            <Text style={[styles.chipText, selectedPresetId === preset.id && styles.chipTextActive]}>
+              {preset.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+      <Text style={styles.hint}>Long-press a saved preset to delete it.</Text>
+
+      {[
+        { key: 'spot', label: 'Spot Shocks (%)' },
+        { key: 'vol', label: 'Vol Shocks (pts)' },
+        { key: 'days', label: 'Days Passing' },
+      ].map(({ key, label }) => (
+        <View key={key} style={styles.row}>
+          <Text style={styles.label}>{label}</Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            value={fields[key]}
+            onChangeText={(text) => setFields(prev => ({ ...prev, [key]: text }))}
+            onSubmitEditing={runShocks}
+            keyboardType="numbers-and-punctuation"
+          />
+        </View>
+      ))}
+
+      <View style={styles.row}>
+        <TextInput
+          style={[styles.input, styles.nameInput]}
+          value={presetName}
+          onChangeText={setPresetName}
+          placeholder="Preset name"
+        />
+        <TouchableOpacity style={styles.secondaryButton} onPress={savePreset}>
+          <Text style={styles.secondaryButtonText}>Save</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.primaryButton} onPress={runShocks}>
+          <Text style={styles.primaryButtonText}>Run</Text>
+        </TouchableOpacity>
+      </View>
+      {error && <Text style={styles.errorText}>{error}</Text>}
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+        {METRICS.map(item => (
+          <TouchableOpacity
+            key={item.id}
+            style={[styles.chip, metric === item.id && styles.chipActive]}
+            onPress={() => setMetric(item.id)}
+          >
+            <Text style={[styles.chipText, metric === item.id && styles.chipTextActive]}>{item.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {tables.length > 1 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+          {tables.map((item, index) => (
+            <TouchableOpacity
+              key={item.days}
+              style={[styles.chip, dayIndex === index && styles.chipActive]}
+              onPress={() => setDayIndex(index)}
+            >
+              <Text style={[styles.chipText, dayIndex === index && styles.chipTextActive]}>
+                {item.days === 0 ? 'Today' : `+${item.days}d`}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {table && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          <View>
+            <View style={styles.gridRow}>
+              <Text style={[styles.gridCell, styles.gridHeader]}>Spot \ Vol</Text>
+              {grid.volShocks.map(volShock => (
+                <Text key={volShock} style={[styles.gridCell, styles.gridHeader]}>
+                  {signed(volShock * 100)} pts
+                </Text>
+              ))}
+            </View>
+            {table.rows.map(row => (
+              <View key={row.spotShock} style={styles.gridRow}>
+                <Text style={[styles.gridCell, styles.gridHeader]}>
+                  {signed(row.spotShock * 100)}% (${row.spot.toFixed(2)})
+                </Text>
+                {row.cells.map(cell => {
+                  const value = cellValue(cell, metric);
+                  return (
+                    <Text
+                      key={cell.volShock}
+                      style={[
+                        styles.gridCell,
+                        moneyMetric && { color: value >= 0 ? '#10b981' : '#ef4444' },
+                      ]}
+                    >
+                      {moneyMetric ? `$${value.toFixed(2)}` : value.toFixed(2)}
+                    </Text>
+                  );
+                })}
+              </View>
+            ))}
+          </View>
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  chipRow: {
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+  },
+  chipActive: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  label: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  input: {
+    width: 160,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 8,
+    fontSize: 16,
+    textAlign: 'right',
+    backgroundColor: '#fff',
+  },
+  inputError: {
+    borderColor: '#ef4444',
+  },
+  nameInput: {
+    flex: 1,
+    textAlign: 'left',
+  },
+  primaryButton: {
+    marginLeft: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2563eb',
+  },
+  primaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  secondaryButton: {
+    marginLeft: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2563eb',
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  gridRow: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  gridCell: {
+    width: 96,
+    paddingVertical: 8,
+    paddingHorizontal: 4,
+    fontSize: 12,
+    color: '#1f2937',
+    textAlign: 'right',
+  },
+  gridHeader: {
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+});
+
+export default ScenarioGrid;
@@ -11,27 +11,73 @@ import {
   Switch,
 } from 'react-native';
 import { Picker } from '@react-native-picker/picker';
+import { emptyCarry, formatCashDividends, parseCashDividends } from '../utils/dividends';
+import { createMarket, yearsToExpiry } from '../utils/market';
+import { legImpliedVolatility } from '../utils/impliedVol';
+import { UNDERLYING_TYPES } from '../utils/pricing';
+import { DEFAULT_CONTRACT_MULTIPLIER, legMultiplier, noFees, orderFees } from '../utils/fees';
+import { createLegId } from '../utils/legs';
 
+// Fields besides the premium that the implied volatility is solved from
+const IV_INPUTS = ['strike', 'expiration', 'dividendYield', 'borrowRate', 'dividends'];
+
+// Form values of an existing leg, for editing it in place
+const formValuesFromLeg = (leg, carry) => ({
+  strike: leg.strike || 0,
+  type: leg.type,
+  action: leg.action,
+  quantity: leg.quantity,
+  premium: leg.premium,
+  expiration: leg.expiration || '2024-01-19',
+  multiplier: legMultiplier(leg),
+  volatility: leg.volatility || 0.2,
+  dividendYield: leg.dividendYield ?? carry.dividendYield,
+  borrowRate: leg.borrowRate ?? carry.borrowRate,
+  dividends: formatCashDividends(leg.dividends ?? carry.dividends),
+});
+
+// Adds a leg from a chain row (option), or edits an existing one (leg). When
+// editing, option is the leg's chain row if it is loaded, for re-quoting.
 const StrategyForm = ({ route, navigation }) => {
-  const { option, onConfirm } = route.params;
+  const {
+    option = {},
+    leg,
+    onConfirm,
+    carry = emptyCarry(),
+    currentPrice,
+    multiplier = DEFAULT_CONTRACT_MULTIPLIER,
+    fees = noFees(),
+  } = route.params;
+  const initialType = option.type || 'call';
   
-  const [formData, setFormData] = useState({
-    strike: option.strike,
-    type: 'call', // call or put
+  const [formData, setFormData] = useState(() => (leg ? formValuesFromLeg(leg, carry) : {
+    strike: option.strike || 0,
+    type: initialType, // call, put, stock or future
     action: 'buy', // buy or sell
-    quantity: 1,
-    premium: option.callBid || 0,
+    quantity: UNDERLYING_TYPES.includes(initialType) ? 100 : 1,
+    premium: UNDERLYING_TYPES.includes(initialType) ? (currentPrice || 0) : (option.callBid || 0),
     expiration: option.expiration || '2024-01-19',
-    volatility: option.iv || 0.2,
-  });
+    // Options use the underlying's contract size; shares and futures start at 1
+    multiplier: UNDERLYING_TYPES.includes(initialType) ? 1 : multiplier,
+    volatility: option.callIv || option.iv || 0.2,
+    dividendYield: carry.dividendYield,
+    borrowRate: carry.borrowRate,
+    dividends: formatCashDividends(carry.dividends),
+  }));
 
+  // What the user typed into the premium field ("1." mid-entry); formData
+  // holds the parsed number the summary and IV solver work from
+  const [premiumText, setPremiumText] = useState(() => formData.premium.toString());
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [errors, setErrors] = useState({});
 
+  // Shares and futures: the premium is the cost basis and there is no strike or IV
+  const isUnderlying = UNDERLYING_TYPES.includes(formData.type);
+
   const validateForm = () => {
     const newErrors = {};
     
-    if (!formData.strike || formData.strike <= 0) {
+    if (!isUnderlying && (!formData.strike || formData.strike <= 0)) {
       newErrors.strike = 'Strike price must be greater than 0';
     }
     
@@ -39,14 +85,43 @@ const StrategyForm = ({ route, navigation }) => {
       newErrors.quantity = 'Quantity must be greater than 0';
     }
     
-    if (!formData.premium || formData.premium < 0) {
+    if (isUnderlying && !(formData.premium > 0)) {
+      newErrors.premium = 'Cost basis must be greater than 0';
+    } else if (Number.isNaN(parseFloat(premiumText)) || formData.premium < 0) {
       newErrors.premium = 'Premium must be 0 or greater';
     }
     
-    if (!formData.volatility || formData.volatility < 0 || formData.volatility > 5) {
+    if (!isUnderlying && (!formData.volatility || formData.volatility < 0 || formData.volatility > 5)) {
       newErrors.volatility = 'Volatility must be between 0 and 5';
     }
 
+    if (formData.type !== 'stock' && !(parseFloat(formData.multiplier) > 0)) {
+      newErrors.multiplier = 'Contract multiplier must be greater than 0';
+    }
+
+    if (formData.type === 'future' && yearsToExpiry(formData.expiration, new Date()) <= 0) {
+      newErrors.expiration = 'Futures need a delivery date in the future';
+    }
+
+    const dividendYield = parseFloat(formData.dividendYield);
+    if (Number.isNaN(dividendYield) || dividendYield < 0 || dividendYield > 1) {
+      newErrors.dividendYield = 'Dividend yield must be between 0 and 1';
+    }
+
+    const borrowRate = parseFloat(formData.borrowRate);
+    if (Number.isNaN(borrowRate) || borrowRate < 0 || borrowRate > 5) {
+      newErrors.borrowRate = 'Borrow rate must be between 0 and 5';
+    }
+
+    if (parseCashDividends(formData.dividends) === null) {
+      newErrors.dividends = 'Use YYYY-MM-DD:amount, separated by commas';
+    }
+
+    const solved = solveVolatility(formData);
+    if (!newErrors.premium && solved && solved.error) {
+      newErrors.premium = solved.error;
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -59,22 +134,68 @@ const StrategyForm = ({ route, navigation }) => {
 
     const strategyOption = {
       ...formData,
-      id: Date.now(), // Simple ID generation
-      strike: parseFloat(formData.strike),
+      id: leg ? leg.id : createLegId(),
+      strike: isUnderlying ? 0 : parseFloat(formData.strike),
+      multiplier: formData.type === 'stock' ? 1 : parseFloat(formData.multiplier),
+      // Shares never expire, so they stay out of the strategy's expirations
+      expiration: formData.type === 'stock' ? null : formData.expiration,
       quantity: parseInt(formData.quantity),
       premium: parseFloat(formData.premium),
       volatility: parseFloat(formData.volatility),
+      dividendYield: parseFloat(formData.dividendYield),
+      borrowRate: parseFloat(formData.borrowRate),
+      dividends: parseCashDividends(formData.dividends),
     };
 
     onConfirm(strategyOption);
     navigation.goBack();
   };
 
+  // Implied volatility matching the form's premium, or null when it can't be
+  // solved here (no spot price, an expired or half-typed leg, or a zero
+  // premium, which keeps the volatility as entered)
+  const solveVolatility = (data) => {
+    if (UNDERLYING_TYPES.includes(data.type)) {
+      return null;
+    }
+    if (!currentPrice || !(yearsToExpiry(data.expiration, new Date()) > 0)) {
+      return null;
+    }
+    if (!(parseFloat(data.strike) > 0) || !(parseFloat(data.premium) > 0)) {
+      return null;
+    }
+
+    const market = createMarket({
+      spot: currentPrice,
+      carry: {
+        dividendYield: parseFloat(data.dividendYield) || 0,
+        borrowRate: parseFloat(data.borrowRate) || 0,
+        dividends: parseCashDividends(data.dividends) || [],
+      },
+    });
+    const leg = { strike: parseFloat(data.strike), type: data.type, expiration: data.expiration };
+
+    return legImpliedVolatility(leg, market, parseFloat(data.premium));
+  };
+
+  // Keeps the volatility field in line with the premium as the user edits it
+  const applyImpliedVolatility = (data, fallbackVolatility) => {
+    const solved = solveVolatility(data);
+
+    if (solved && solved.volatility !== null) {
+      setErrors(prev => ({ ...prev, premium: null, volatility: null }));
+      return { ...data, volatility: parseFloat(solved.volatility.toFixed(4)) };
+    }
+
+    if (solved && solved.error) {
+      setErrors(prev => ({ ...prev, premium: solved.error }));
+    }
+    return fallbackVolatility ? { ...data, volatility: fallbackVolatility } : data;
+  };
+
   const handleInputChange = (field, value) => {
-    setFormData(prev => ({
-      ...prev,
-      [field]: value
-    }));
+    const next = { ...formData, [field]: value };
+    setFormData(IV_INPUTS.includes(field) ? applyImpliedVolatility(next) : next);
     
     // Clear error when user starts typing
     if (errors[field]) {
@@ -85,46 +206,74 @@ const StrategyForm = ({ route, navigation }) => {
     }
   };
 
-  const updatePremium = () => {
-    // Auto-update premium based on type and action
+  const handlePremiumChange = (value) => {
+    setErrors(prev => ({ ...prev, premium: null }));
+    setPremiumText(value);
+    setFormData(applyImpliedVolatility({ ...formData, premium: parseFloat(value) || 0 }));
+  };
+
+  const updatePremium = (changes) => {
+    // Auto-update premium (and its implied volatility) based on type and action
+    const next = { ...formData, ...changes };
     let newPremium = 0;
+
+    if (UNDERLYING_TYPES.includes(next.type)) {
+      // Cost basis defaults to the current price, quantity to a round lot
+      const quantity = UNDERLYING_TYPES.includes(formData.type) ? next.quantity : 100;
+      setFormData({ ...next, quantity, multiplier: 1, premium: currentPrice || 0 });
+      setPremiumText(String(currentPrice || 0));
+      return;
+    }
+    if (UNDERLYING_TYPES.includes(formData.type)) {
+      next.quantity = 1;
+      next.multiplier = multiplier;
+    }
     
-    if (formData.type === 'call') {
-      newPremium = formData.action === 'buy' ? option.callAsk : option.callBid;
+    if (next.type === 'call') {
+      newPremium = next.action === 'buy' ? option.callAsk : option.callBid;
     } else {
-      newPremium = formData.action === 'buy' ? option.putAsk : option.putBid;
+      newPremium = next.action === 'buy' ? option.putAsk : option.putBid;
     }
+
+    const chainVolatility = next.type === 'call' ? option.callIv : option.putIv;
     
-    setFormData(prev => ({
-      ...prev,
-      premium: newPremium || 0
-    }));
+    setFormData(applyImpliedVolatility(
+      { ...next, premium: newPremium || 0 },
+      chainVolatility || option.iv
+    ));
+    setPremiumText(String(newPremium || 0));
   };
 
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.title}>Configure Option</Text>
+        <Text style={styles.title}>
+          {leg ? 'Edit Leg' : isUnderlying ? 'Configure Position' : 'Configure Option'}
+        </Text>
         <Text style={styles.subtitle}>
-          ${formData.strike} Strike - {formData.expiration}
+          {formData.type === 'stock' && 'Shares of the underlying'}
+          {formData.type === 'future' && `Future - ${formData.expiration}`}
+          {!isUnderlying && `$${formData.strike} Strike - ${formData.expiration}`}
         </Text>
       </View>
 
       <View style={styles.form}>
         {/* Option Type */}
         <View style={styles.formGroup}>
-          <Text style={styles.label}>Option Type</Text>
+          <Text style={styles.label}>Leg Type</Text>
           <View style={styles.pickerContainer}>
             <Picker
               selectedValue={formData.type}
               onValueChange={(value) => {
                 handleInputChange('type', value);
-                updatePremium();
+                updatePremium({ type: value });
               }}
               style={styles.picker}
             >
               <Picker.Item label="Call" value="call" />
               <Picker.Item label="Put" value="put" />
+              <Picker.Item label="Shares" value="stock" />
+              <Picker.Item label="Future" value="future" />
             </Picker>
           </View>
         </View>
@@ -137,7 +286,7 @@ const StrategyForm = ({ route, navigation }) => {
               selectedValue={formData.action}
               onValueChange={(value) => {
                 handleInputChange('action', value);
-                updatePremium();
+                updatePremium({ action: value });
               }}
               style={styles.picker}
             >
@@ -148,21 +297,25 @@ const StrategyForm = ({ route, navigation }) => {
         </View>
 
         {/* Strike Price */}
-        <View style={styles.formGroup}>
-          <Text style={styles.label}>Strike Price</Text>
-          <TextInput
-            style={[styles.input, errors.strike && styles.inputError]}
-            value={formData.strike.toString()}
-            onChangeText={(value) => handleInputChange('strike', value)}
-            keyboardType="numeric"
-            placeholder="0.00"
-          />
-          {errors.strike && <Text style={styles.errorText}>{errors.strike}</Text>}
-        </View>
+        {!isUnderlying && (
+          <View style={styles.formGroup}>
+            <Text style={styles.label}>Strike Price</Text>
+            <TextInput
+              style={[styles.input, errors.strike && styles.inputError]}
+              value={formData.strike.toString()}
+              onChangeText={(value) => handleInputChange('strike', value)}
+              keyboardType="numeric"
+              placeholder="0.00"
+            />
+            {errors.strike && <Text style={styles.errorText}>{errors.strike}</Text>}
+          </View>
+        )}
 
         {/* Quantity */}
         <View style={styles.formGroup}>
-          <Text style={styles.label}>Quantity</Text>
+          <Text style={styles.label}>
+            {formData.type === 'stock' ? 'Shares' : formData.type === 'future' ? 'Contracts' : 'Quantity'}
+          </Text>
           <TextInput
             style={[styles.input, errors.quantity && styles.inputError]}
             value={formData.quantity.toString()}
@@ -175,11 +328,11 @@ const StrategyForm = ({ route, navigation }) => {
 
         {/* Premium */}
         <View style={styles.formGroup}>
-          <Text style={styles.label}>Premium</Text>
+          <Text style={styles.label}>{isUnderlying ? 'Cost Basis' : 'Premium'}</Text>
           <TextInput
             style={[styles.input, errors.premium && styles.inputError]}
-            value={formData.premium.toString()}
-            onChangeText={(value) => handleInputChange('premium', value)}
+            value={premiumText}
+            onChangeText={handlePremiumChange}
             keyboardType="numeric"
             placeholder="0.00"
           />
@@ -205,28 +358,88 @@ const StrategyForm = ({ route, navigation }) => {
             <Text style={styles.sectionTitle}>Advanced Settings</Text>
             
             {/* Implied Volatility */}
+            {!isUnderlying && (
+              <View style={styles.formGroup}>
+                <Text style={styles.label}>Implied Volatility</Text>
+                <TextInput
+                  style={[styles.input, errors.volatility && styles.inputError]}
+                  value={formData.volatility.toString()}
+                  onChangeText={(value) => handleInputChange('volatility', value)}
+                  keyboardType="numeric"
+                  placeholder="0.20"
+                />
+                {errors.volatility && <Text style={styles.errorText}>{errors.volatility}</Text>}
+              </View>
+            )}
+
+            {/* Contract Multiplier */}
+            {formData.type !== 'stock' && (
+              <View style={styles.formGroup}>
+                <Text style={styles.label}>Contract Multiplier</Text>
+                <TextInput
+                  style={[styles.input, errors.multiplier && styles.inputError]}
+                  value={formData.multiplier.toString()}
+                  onChangeText={(value) => handleInputChange('multiplier', value)}
+                  keyboardType="numeric"
+                  placeholder="100"
+                />
+                {errors.multiplier && <Text style={styles.errorText}>{errors.multiplier}</Text>}
+              </View>
+            )}
+
+            {/* Dividend Yield */}
             <View style={styles.formGroup}>
-              <Text style={styles.label}>Implied Volatility</Text>
+              <Text style={styles.label}>Dividend Yield</Text>
               <TextInput
-                style={[styles.input, errors.volatility && styles.inputError]}
-                value={formData.volatility.toString()}
-                onChangeText={(value) => handleInputChange('volatility', value)}
+                style={[styles.input, errors.dividendYield && styles.inputError]}
+                value={formData.dividendYield.toString()}
+                onChangeText={(value) => handleInputChange('dividendYield', value)}
                 keyboardType="numeric"
-                placeholder="0.20"
+                placeholder="0.00"
               />
-              {errors.volatility && <Text style={styles.errorText}>{errors.volatility}</Text>}
+              {errors.dividendYield && <Text style={styles.errorText}>{errors.dividendYield}</Text>}
             </View>
 
-            {/* Expiration Date */}
+            {/* Cash Dividends */}
             <View style={styles.formGroup}>
-              <Text style={styles.label}>Expiration Date</Text>
+              <Text style={styles.label}>Cash Dividends</Text>
               <TextInput
-                style={styles.input}
-                value={formData.expiration}
-                onChangeText={(value) => handleInputChange('expiration', value)}
-                placeholder="YYYY-MM-DD"
+                style={[styles.input, errors.dividends && styles.inputError]}
+                value={formData.dividends}
+                onChangeText={(value) => handleInputChange('dividends', value)}
+                placeholder="2024-02-09:0.24, 2024-05-10:0.25"
               />
+              {errors.dividends && <Text style={styles.errorText}>{errors.dividends}</Text>}
             </View>
+
+            {/* Borrow Rate */}
+            <View style={styles.formGroup}>
+              <Text style={styles.label}>Hard-to-Borrow Rate</Text>
+              <TextInput
+                style={[styles.input, errors.borrowRate && styles.inputError]}
+                value={formData.borrowRate.toString()}
+                onChangeText={(value) => handleInputChange('borrowRate', value)}
+                keyboardType="numeric"
+                placeholder="0.00"
+              />
+              {errors.borrowRate && <Text style={styles.errorText}>{errors.borrowRate}</Text>}
+            </View>
+
+            {/* Expiration Date */}
+            {formData.type !== 'stock' && (
+              <View style={styles.formGroup}>
+                <Text style={styles.label}>
+                  {formData.type === 'future' ? 'Delivery Date' : 'Expiration Date'}
+                </Text>
+                <TextInput
+                  style={[styles.input, errors.expiration && styles.inputError]}
+                  value={formData.expiration}
+                  onChangeText={(value) => handleInputChange('expiration', value)}
+                  placeholder="YYYY-MM-DD"
+                />
+                {errors.expiration && <Text style={styles.errorText}>{errors.expiration}</Text>}
+              </View>
+            )}
           </View>
         )}
 
@@ -235,10 +448,19 @@ const StrategyForm = ({ route, navigation }) => {
           <Text style={styles.sectionTitle}>Strategy Summary</Text>
           <Text style={styles.summaryText}>
             {formData.action.toUpperCase()} {formData.quantity}x {formData.type.toUpperCase()} 
-            ${formData.strike} @ ${formData.premium.toFixed(2)}
+            {isUnderlying ? '' : `$${formData.strike} `}@ ${formData.premium.toFixed(2)}
+          </Text>
+          <Text style={styles.summaryDetail}>
+            Total Cost: ${(
+              formData.premium * formData.quantity * (parseFloat(formData.multiplier) || 0)
+              * (formData.action === 'buy' ? 1 : -1)
+            ).toFixed(2)}
           </Text>
           <Text style={styles.summaryDetail}>
-            Total Cost: ${(formData.premium * formData.quantity * (formData.action === 'buy' ? 1 : -1)).toFixed(2)}
+            Fees: ${orderFees(
+              [{ type: formData.type, quantity: parseInt(formData.quantity) || 0 }],
+              fees
+            ).toFixed(2)}
           </Text>
         </View>
 
@@ -255,7 +477,7 @@ const StrategyForm = ({ route, navigation }) => {
             style={[styles.button, styles.confirmButton]}
             onPress={handleSubmit}
           >
-            <Text style={styles.confirmButtonText}>Add to Strategy</Text>
+            <Text style={styles.confirmButtonText}>{leg ? 'Save Changes' : 'Add to Strategy'}</Text>
           </TouchableOpacity>
         </View>
       </View>
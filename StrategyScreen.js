@@ -1,44 +1,105 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useReducer } from 'react';
 import { 
   View, 
   Text, 
   StyleSheet, 
   ScrollView, 
+  TouchableOpacity,
   Alert,
   ActivityIndicator,
   RefreshControl 
 } from 'react-native';
-import { PayoffChart } from '../components/ChartComponents';
+import { PayoffChart, PnLHeatmap } from '../components/ChartComponents';
 import OptionChain from '../components/OptionChain';
 import StrategyForm from '../components/StrategyForm';
-import { getOptionChain, createStrategy } from '../services/api';
+import FeeScheduleInput from '../components/FeeScheduleInput';
+import TemplatePicker from '../components/TemplatePicker';
+import SavedStrategies from '../components/SavedStrategies';
+import { getOptionChain, createStrategy, getStrategies } from '../services/api';
+import { emptyCarry, legCarry } from '../utils/dividends';
+import { createMarket } from '../utils/market';
+import { horizonDates, payoffCurves, pnlHeatmap, priceRange } from '../utils/pnlSurface';
+import { withImpliedVolatilities } from '../utils/impliedVol';
+import { expirationsOf } from '../utils/payoffAnalysis';
+import { isUnderlyingLeg, netPremium } from '../utils/pricing';
+import { DEFAULT_CONTRACT_MULTIPLIER, legMultiplier, noFees, strategyFees } from '../utils/fees';
+import { resolveTemplate, templateExpirations } from '../utils/strategyTemplates';
+import {
+  canRedo,
+  canUndo,
+  initialLegHistory,
+  legHistoryReducer,
+  redoLabel,
+  undoLabel,
+} from '../utils/legHistory';
 
 const StrategyScreen = ({ navigation }) => {
   const [selectedTicker, setSelectedTicker] = useState('AAPL');
   const [selectedExpiration, setSelectedExpiration] = useState('2024-01-19');
-  const [optionChainData, setOptionChainData] = useState([]);
-  const [selectedOptions, setSelectedOptions] = useState([]);
+  const [availableExpirations, setAvailableExpirations] = useState([]);
+  // Chains already loaded, keyed by expiration, so legs can be picked from
+  // several expiries without refetching when switching back
+  const [optionChains, setOptionChains] = useState({});
+  // Leg changes are dispatched as commands so they can be undone; the reducer
+  // state lives on this screen and survives trips to the StrategyForm modal
+  const [legHistory, dispatchLegs] = useReducer(legHistoryReducer, [], initialLegHistory);
+  const selectedOptions = legHistory.present;
   const [payoffData, setPayoffData] = useState([]);
+  const [payoffHorizons, setPayoffHorizons] = useState([]);
+  const [heatmapData, setHeatmapData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [currentPrice, setCurrentPrice] = useState(150);
+  const [carry, setCarry] = useState(emptyCarry());
+  const [multiplier, setMultiplier] = useState(DEFAULT_CONTRACT_MULTIPLIER);
+  const [fees, setFees] = useState(noFees());
+  const [savedStrategies, setSavedStrategies] = useState([]);
 
+  // Switching expiration only fetches chains not loaded yet. The cache is
+  // keyed by expiration alone, which holds while the screen has one ticker.
   useEffect(() => {
-    loadOptionChain();
-  }, [selectedTicker, selectedExpiration]);
+    if (!optionChains[selectedExpiration]) {
+      loadOptionChain();
+    }
+  }, [selectedExpiration]);
+
+  // Reloaded whenever the screen comes back into view, so a roll saved on
+  // RollScreen shows up here
+  useEffect(() => {
+    loadSavedStrategies();
+    return navigation.addListener('focus', loadSavedStrategies);
+  }, [navigation]);
 
   useEffect(() => {
     if (selectedOptions.length > 0) {
       calculatePayoff();
+    } else {
+      setPayoffData([]);
+      setPayoffHorizons([]);
+      setHeatmapData(null);
     }
-  }, [selectedOptions, currentPrice]);
+  }, [selectedOptions, currentPrice, carry, fees]);
+
+  // Fetches one expiration's chain, caches it and returns its rows
+  const fetchChain = async (expiration) => {
+    const data = await getOptionChain(selectedTicker, expiration);
+    const spot = data.currentPrice || 150;
+    const market = createMarket({ spot, carry });
+    const rows = withImpliedVolatilities(data.options || [], market, expiration);
+    setOptionChains(prev => ({ ...prev, [expiration]: rows }));
+    if (data.expirations) {
+      setAvailableExpirations(data.expirations);
+    }
+    // Mini and adjusted contracts report their own deliverable size
+    setMultiplier(data.multiplier || DEFAULT_CONTRACT_MULTIPLIER);
+    setCurrentPrice(spot);
+    return rows;
+  };
 
   const loadOptionChain = async () => {
     try {
       setLoading(true);
-      const data = await getOptionChain(selectedTicker, selectedExpiration);
-      setOptionChainData(data.options || []);
-      setCurrentPrice(data.currentPrice || 150);
+      await fetchChain(selectedExpiration);
     } catch (error) {
       Alert.alert('Error', 'Failed to load option chain data');
       console.error('Option chain error:', error);
@@ -47,72 +108,129 @@ const StrategyScreen = ({ navigation }) => {
     }
   };
 
+  const loadSavedStrategies = async () => {
+    try {
+      setSavedStrategies(await getStrategies());
+    } catch (error) {
+      console.error('Saved strategies error:', error);
+    }
+  };
+
   const onRefresh = async () => {
     setRefreshing(true);
-    await loadOptionChain();
+    await Promise.all([loadOptionChain(), loadSavedStrategies()]);
     setRefreshing(false);
   };
 
+  // Every tap adds a new leg; existing legs are changed from the Selected Options list
   const handleOptionSelect = (option) => {
-    const existingIndex = selectedOptions.findIndex(
-      opt => opt.strike === option.strike && opt.type === option.type
-    );
-    
-    if (existingIndex >= 0) {
-      // Remove if already selected
-      setSelectedOptions(prev => prev.filter((_, index) => index !== existingIndex));
-    } else {
-      // Add new option
-      navigation.navigate('StrategyForm', {
-        option,
-        onConfirm: (strategyOption) => {
-          setSelectedOptions(prev => [...prev, strategyOption]);
+    const expiration = option.expiration || selectedExpiration;
+
+    navigation.navigate('StrategyForm', {
+      option: { ...option, expiration },
+      carry,
+      currentPrice,
+      multiplier,
+      fees,
+      onConfirm: (strategyOption) => {
+        setCarry(legCarry(strategyOption, { carry }));
+        dispatchLegs({ type: 'add', legs: [strategyOption] });
+      }
+    });
+  };
+
+  // Opens the form pre-filled with the leg, quoting from its chain row when loaded
+  const handleEditLeg = (leg) => {
+    const row = (optionChains[leg.expiration] || []).find(chainRow => chainRow.strike === leg.strike);
+
+    navigation.navigate('StrategyForm', {
+      option: row ? { ...row, expiration: leg.expiration } : { expiration: leg.expiration },
+      leg,
+      carry,
+      currentPrice,
+      multiplier,
+      fees,
+      onConfirm: (updatedLeg) => {
+        setCarry(legCarry(updatedLeg, { carry }));
+        dispatchLegs({ type: 'replace', id: leg.id, leg: updatedLeg });
+      }
+    });
+  };
+
+  const handleDeleteLeg = (leg) => {
+    Alert.alert('Remove Leg', 'Remove this leg from the strategy?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => dispatchLegs({ type: 'remove', id: leg.id }),
+      },
+    ]);
+  };
+
+  // Shares are not in the option chain, so they are added from their own button
+  const handleAddShares = () => {
+    navigation.navigate('StrategyForm', {
+      option: { type: 'stock', expiration: selectedExpiration },
+      carry,
+      currentPrice,
+      multiplier,
+      fees,
+      onConfirm: (strategyOption) => {
+        setCarry(legCarry(strategyOption, { carry }));
+        dispatchLegs({ type: 'add', legs: [strategyOption] });
+      }
+    });
+  };
+
+  // Adds every leg of a template at once, loading any other expiration it needs
+  const handleTemplateSelect = async (template) => {
+    try {
+      setLoading(true);
+      const chains = { ...optionChains };
+      for (const expiration of templateExpirations(template, availableExpirations, selectedExpiration)) {
+        if (!chains[expiration]) {
+          chains[expiration] = await fetchChain(expiration);
         }
+      }
+
+      const { legs, error } = resolveTemplate(template, {
+        chains,
+        expirations: availableExpirations,
+        expiration: selectedExpiration,
+        market: createMarket({ spot: currentPrice, carry, fees }),
+        multiplier,
       });
+
+      if (error) {
+        Alert.alert('Template Unavailable', error);
+        return;
+      }
+
+      dispatchLegs({ type: 'add', legs });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to load option chain data');
+      console.error('Template error:', error);
+    } finally {
+      setLoading(false);
     }
   };
 
   const calculatePayoff = () => {
-    const priceRange = [];
-    const minPrice = currentPrice * 0.7;
-    const maxPrice = currentPrice * 1.3;
-    const steps = 50;
-    
-    for (let i = 0; i <= steps; i++) {
-      const price = minPrice + (maxPrice - minPrice) * (i / steps);
-      priceRange.push(price);
-    }
-
-    const payoffPoints = priceRange.map(price => {
-      let totalPayoff = 0;
-      
-      selectedOptions.forEach(option => {
-        let optionPayoff = 0;
-        
-        if (option.type === 'call') {
-          if (option.action === 'buy') {
-            optionPayoff = Math.max(0, price - option.strike) - option.premium;
-          } else {
-            optionPayoff = option.premium - Math.max(0, price - option.strike);
-          }
-        } else {
-          if (option.action === 'buy') {
-            optionPayoff = Math.max(0, option.strike - price) - option.premium;
-          } else {
-            optionPayoff = option.premium - Math.max(0, option.strike - price);
-          }
-        }
-        
-        totalPayoff += optionPayoff * option.quantity;
-      });
-      
-      return {
-        price: price.toFixed(2),
-        payoff: totalPayoff.toFixed(2)
-      };
+    const market = createMarket({ spot: currentPrice, carry, fees });
+    // Today and halfway; the expiry curve is the payoff line itself
+    const horizons = horizonDates(selectedOptions, market, 3).filter(date => date.label !== 'Expiry');
+    const { points } = payoffCurves(selectedOptions, market, {
+      prices: priceRange(currentPrice),
+      horizons,
     });
 
-    setPayoffData(payoffPoints);
+    setPayoffData(points.map(point => ({
+      ...point,
+      price: point.price.toFixed(2),
+    })));
+    setPayoffHorizons(horizons);
+    setHeatmapData(pnlHeatmap(selectedOptions, market));
   };
 
   const saveStrategy = async () => {
@@ -122,15 +240,27 @@ const StrategyScreen = ({ navigation }) => {
     }
 
     try {
+      const expirations = expirationsOf(selectedOptions);
       const strategyData = {
         ticker: selectedTicker,
-        expiration: selectedExpiration,
+        // First expiry kept for older clients; legs carry their own
+        expiration: expirations[0] || selectedExpiration,
+        expirations,
         options: selectedOptions,
+        carry,
+        fees,
         createdAt: new Date().toISOString()
       };
 
-      await createStrategy(strategyData);
-      Alert.alert('Success', 'Strategy saved successfully');
+      const savedStrategy = await createStrategy(strategyData);
+      loadSavedStrategies();
+      Alert.alert('Success', 'Strategy saved successfully', [
+        { text: 'OK' },
+        {
+          text: 'Roll or Adjust',
+          onPress: () => navigation.navigate('RollScreen', { strategy: { ...strategyData, ...savedStrategy } }),
+        },
+      ]);
     } catch (error) {
       Alert.alert('Error', 'Failed to save strategy');
       console.error('Save strategy error:', error);
@@ -151,37 +281,168 @@ const StrategyScreen = ({ navigation }) => {
         </Text>
       </View>
 
+      {availableExpirations.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.expirationBar}>
+          {availableExpirations.map(expiration => {
+            const active = expiration === selectedExpiration;
+            const hasLegs = selectedOptions.some(option => option.expiration === expiration);
+
+            return (
+              <TouchableOpacity
+                key={expiration}
+                style={[styles.expirationChip, active && styles.expirationChipActive]}
+                onPress={() => setSelectedExpiration(expiration)}
+              >
+                <Text style={[styles.expirationText, active && styles.expirationTextActive]}>
+                  {expiration}{hasLegs ? ' •' : ''}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+
       {loading ? (
         <ActivityIndicator size="large" color="#2563eb" style={styles.loading} />
       ) : (
         <>
           <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Option Chain</Text>
+            <Text style={styles.sectionTitle}>Templates</Text>
+            <TemplatePicker
+              onSelect={handleTemplateSelect}
+              disabled={!optionChains[selectedExpiration]}
+            />
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Option Chain ({selectedExpiration})</Text>
             <OptionChain 
-              data={optionChainData} 
+              data={optionChains[selectedExpiration] || []} 
               onSelect={handleOptionSelect}
               selectedOptions={selectedOptions}
             />
+            <TouchableOpacity style={styles.addSharesButton} onPress={handleAddShares}>
+              <Text style={styles.addSharesText}>+ Add Shares or Future</Text>
+            </TouchableOpacity>
           </View>
 
+          {(canUndo(legHistory) || canRedo(legHistory)) && (
+            <View style={styles.historyBar}>
+              <TouchableOpacity
+                style={[styles.historyButton, !canUndo(legHistory) && styles.historyButtonDisabled]}
+                onPress={() => dispatchLegs({ type: 'undo' })}
+                disabled={!canUndo(legHistory)}
+              >
+                <Text style={styles.historyButtonText}>
+                  Undo{canUndo(legHistory) ? `: ${undoLabel(legHistory)}` : ''}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.historyButton, !canRedo(legHistory) && styles.historyButtonDisabled]}
+                onPress={() => dispatchLegs({ type: 'redo' })}
+                disabled={!canRedo(legHistory)}
+              >
+                <Text style={styles.historyButtonText}>
+                  Redo{canRedo(legHistory) ? `: ${redoLabel(legHistory)}` : ''}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
           {selectedOptions.length > 0 && (
             <View style={styles.section}>
-              <Text style={styles.sectionTitle}>Selected Options</Text>
+              <View style={styles.sectionHeader}>
+                <Text style={styles.sectionTitle}>Selected Options</Text>
+                <TouchableOpacity onPress={() => dispatchLegs({ type: 'clear' })}>
+                  <Text style={[styles.legActionText, styles.legActionDelete]}>Clear All</Text>
+                </TouchableOpacity>
+              </View>
               {selectedOptions.map((option, index) => (
-                <View key={index} style={styles.selectedOption}>
-                  <Text style={styles.optionText}>
-                    {option.action.toUpperCase()} {option.quantity}x {option.type.toUpperCase()} 
-                    ${option.strike} @ ${option.premium.toFixed(2)}
-                  </Text>
+                <View key={option.id} style={styles.selectedOption}>
+                  <TouchableOpacity onPress={() => handleEditLeg(option)}>
+                    <Text style={styles.optionText}>
+                      {option.action.toUpperCase()} {option.quantity}x {option.type.toUpperCase()} 
+                      {isUnderlyingLeg(option) ? '' : `$${option.strike} `}
+                      {option.expiration ? `${option.expiration} ` : ''}@ ${option.premium.toFixed(2)}
+                      {legMultiplier(option) !== 1 ? ` (x${legMultiplier(option)})` : ''}
+                    </Text>
+                  </TouchableOpacity>
+                  <View style={styles.legActions}>
+                    <TouchableOpacity
+                      style={styles.legAction}
+                      onPress={() => dispatchLegs({ type: 'move', id: option.id, offset: -1 })}
+                      disabled={index === 0}
+                    >
+                      <Text style={[styles.legActionText, index === 0 && styles.legActionDisabled]}>Up</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.legAction}
+                      onPress={() => dispatchLegs({ type: 'move', id: option.id, offset: 1 })}
+                      disabled={index === selectedOptions.length - 1}
+                    >
+                      <Text
+                        style={[
+                          styles.legActionText,
+                          index === selectedOptions.length - 1 && styles.legActionDisabled,
+                        ]}
+                      >
+                        Down
+                      </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.legAction}
+                      onPress={() => dispatchLegs({ type: 'flip', id: option.id })}
+                    >
+                      <Text style={styles.legActionText}>Flip</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.legAction}
+                      onPress={() => dispatchLegs({ type: 'duplicate', id: option.id })}
+                    >
+                      <Text style={styles.legActionText}>Duplicate</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.legAction} onPress={() => handleDeleteLeg(option)}>
+                      <Text style={[styles.legActionText, styles.legActionDelete]}>Delete</Text>
+                    </TouchableOpacity>
+                  </View>
                 </View>
               ))}
+              <Text style={styles.totalText}>
+                Net Cost: ${netPremium(selectedOptions).toFixed(2)}
+                {'  '}Fees: ${strategyFees(selectedOptions, fees).toFixed(2)}
+              </Text>
+              <TouchableOpacity style={styles.saveButton} onPress={saveStrategy}>
+                <Text style={styles.saveButtonText}>Save Strategy</Text>
+              </TouchableOpacity>
             </View>
           )}
 
+          {savedStrategies.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Saved Strategies</Text>
+              <SavedStrategies
+                strategies={savedStrategies}
+                onRoll={(strategy) => navigation.navigate('RollScreen', { strategy })}
+              />
+            </View>
+          )}
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Commissions & Fees</Text>
+            <FeeScheduleInput fees={fees} onChange={setFees} />
+          </View>
+
           {payoffData.length > 0 && (
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>Payoff Diagram</Text>
-              <PayoffChart data={payoffData} />
+              <PayoffChart data={payoffData} horizons={payoffHorizons} />
+            </View>
+          )}
+
+          {heatmapData && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>P&L by Price and Date</Text>
+              <PnLHeatmap data={heatmapData} />
             </View>
           )}
         </>
@@ -214,6 +475,31 @@ const styles = StyleSheet.create({
   loading: {
     marginTop: 50,
   },
+  expirationBar: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  expirationChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginHorizontal: 4,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+  },
+  expirationChipActive: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  expirationText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  expirationTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
   section: {
     margin: 16,
     backgroundColor: '#fff',
@@ -242,6 +528,83 @@ const styles = StyleSheet.create({
     color: '#374151',
     fontWeight: '500',
   },
+  historyBar: {
+    flexDirection: 'row',
+    marginHorizontal: 16,
+    marginTop: 16,
+  },
+  historyButton: {
+    flex: 1,
+    backgroundColor: '#e0e7ff',
+    padding: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  historyButtonDisabled: {
+    opacity: 0.4,
+  },
+  historyButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3730a3',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  legActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  legAction: {
+    marginRight: 16,
+    paddingVertical: 4,
+  },
+  legActionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+  legActionDisabled: {
+    color: '#9ca3af',
+  },
+  legActionDelete: {
+    color: '#ef4444',
+  },
+  totalText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginTop: 4,
+  },
+  saveButton: {
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#2563eb',
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  addSharesButton: {
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2563eb',
+    alignItems: 'center',
+  },
+  addSharesText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
 });
 
 export default StrategyScreen; 
\ No newline at end of file
@@ -0,0 +1,46 @@
+import React from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { STRATEGY_TEMPLATES } from '../utils/strategyTemplates';
+
+// One-tap builders for common trades; the screen resolves strikes and premiums
+const TemplatePicker = ({ onSelect, disabled = false }) => (
+  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+    <View style={styles.container}>
+      {STRATEGY_TEMPLATES.map(template => (
+        <TouchableOpacity
+          key={template.id}
+          style={[styles.template, disabled && styles.templateDisabled]}
+          onPress={() => onSelect(template)}
+          disabled={disabled}
+        >
+          <Text style={styles.templateText}>{template.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  </ScrollView>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+  },
+  template: {
+    width: 140,
+    padding: 12,
+    marginRight: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    backgroundColor: '#f9fafb',
+  },
+  templateDisabled: {
+    opacity: 0.5,
+  },
+  templateText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+  },
+});
+
+export default TemplatePicker;
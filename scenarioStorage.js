@@ -0,0 +1,35 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SCENARIO_PRESETS } from '../utils/scenarios';
+
+const STORAGE_KEY = 'scenarioPresets';
+
+// User-saved scenario presets, kept on the device
+export const loadSavedPresets = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Load scenario presets error:', error);
+    return [];
+  }
+};
+
+// Built-in presets first, then saved ones
+export const loadScenarioPresets = async () => {
+  return [...SCENARIO_PRESETS, ...(await loadSavedPresets())];
+};
+
+// Saves a preset under its label, replacing a saved one with the same label
+export const saveScenarioPreset = async ({ label, spotShocks, volShocks, dayShocks }) => {
+  const saved = await loadSavedPresets();
+  const preset = { id: `saved-${Date.now()}`, label, spotShocks, volShocks, dayShocks };
+  const presets = [...saved.filter(item => item.label !== label), preset];
+
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  return preset;
+};
+
+export const deleteScenarioPreset = async (id) => {
+  const saved = await loadSavedPresets();
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(saved.filter(item => item.id !== id)));
+};
@@ -1 +1,555 @@
+import { createMarket } from './utils/market.js';
+import { withImpliedVolatilities } from './utils/impliedVol.js';
+import { findStrategies } from './utils/strategyFinder.js';
+import { createMockChain, mockExpirations } from './utils/mockChain.js';
+import { horizonDates, payoffCurves, priceRange } from './utils/pnlSurface.js';
+import { analyzeStrategy } from './utils/strategyAnalysis.js';
+import { isUnderlyingLeg } from './utils/pricing.js';
+import { legMultiplier } from './utils/fees.js';
+import { createLegId } from './utils/legs.js';
+import { EXIT_REASONS, runBacktest, tradesToCsv } from './utils/backtest.js';
+import { STRATEGY_TEMPLATES } from './utils/strategyTemplates.js';
 
+// The page runs offline from a static server, so chains come from the local
+// mock rather than the API the mobile app talks to
+const state = {
+  chain: null,
+  rows: [],
+  market: null,
+  expiration: null,
+  legs: [],
+  backtest: null,
+};
+
+const HORIZON_COLORS = ['16, 185, 129', '245, 158, 11'];
+
+const formatMoney = (value) => (Number.isFinite(value) ? `$${value.toFixed(2)}` : 'Unlimited');
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+const describeLeg = (leg) => {
+  if (isUnderlyingLeg(leg)) {
+    return `${leg.action.toUpperCase()} ${leg.quantity} SHARES @ $${leg.premium.toFixed(2)}`;
+  }
+  return `${leg.action.toUpperCase()} ${leg.quantity}x ${leg.type.toUpperCase()} $${leg.strike} @ $${leg.premium.toFixed(2)}`;
+};
+
+const element = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+const renderMessage = (container, text, className = 'message') => {
+  container.replaceChildren(element('p', className, text));
+};
+
+const readInputs = () => ({
+  ticker: document.getElementById('ticker').value.trim().toUpperCase(),
+  expiration: document.getElementById('expiration').value,
+  targetPrice: parseFloat(document.getElementById('prediction').value),
+});
+
+// Loads the mock chain for the inputs, defaulting the expiration to the next monthly
+const ensureChain = () => {
+  const inputs = readInputs();
+  if (!inputs.ticker) return null;
+
+  const expirationInput = document.getElementById('expiration');
+  if (!inputs.expiration) {
+    expirationInput.value = mockExpirations()[0];
+  }
+  const expiration = expirationInput.value;
+
+  if (!state.chain || state.chain.ticker !== inputs.ticker || state.expiration !== expiration) {
+    const chain = createMockChain({ ticker: inputs.ticker, expiration });
+    const market = createMarket({ spot: chain.currentPrice });
+
+    Object.assign(state, {
+      chain,
+      market,
+      expiration,
+      rows: withImpliedVolatilities(chain.options, market, expiration),
+      legs: state.chain && state.chain.ticker === inputs.ticker ? state.legs : [],
+    });
+  }
+
+  return state.chain;
+};
+
+// Option chain
+
+const addLeg = (row, type, action) => {
+  const premium = type === 'call'
+    ? (action === 'buy' ? row.callAsk : row.callBid)
+    : (action === 'buy' ? row.putAsk : row.putBid);
+  if (!(premium > 0)) return;
+
+  const leg = {
+    id: createLegId(),
+    type,
+    action,
+    quantity: 1,
+    strike: row.strike,
+    premium,
+    expiration: state.expiration,
+    volatility: type === 'call' ? row.callIv : row.putIv,
+  };
+  state.legs = [...state.legs, { ...leg, multiplier: state.chain.multiplier || legMultiplier(leg) }];
+  renderStrategy();
+};
+
+const quoteCell = (row, type, action) => {
+  const value = type === 'call'
+    ? (action === 'buy' ? row.callAsk : row.callBid)
+    : (action === 'buy' ? row.putAsk : row.putBid);
+  const cell = element('td', `quote ${action}`, value.toFixed(2));
+  cell.title = `${action === 'buy' ? 'Buy' : 'Sell'} the ${row.strike} ${type}`;
+  cell.addEventListener('click', () => addLeg(row, type, action));
+  return cell;
+};
+
+const renderChain = () => {
+  const container = document.getElementById('chain-container');
+  document.getElementById('chain-spot').textContent = `${state.chain.ticker} $${state.chain.currentPrice.toFixed(2)}`;
+
+  const table = element('table', 'chain-table');
+  const header = element('tr');
+  ['Call IV', 'Call Bid', 'Call Ask', 'Strike', 'Put Bid', 'Put Ask', 'Put IV']
+    .forEach(label => header.append(element('th', null, label)));
+  table.append(header);
+
+  state.rows.forEach(row => {
+    const tr = element('tr', row.strike < state.chain.currentPrice ? 'itm-call' : 'itm-put');
+    tr.append(
+      element('td', null, formatPercent(row.callIv)),
+      quoteCell(row, 'call', 'sell'),
+      quoteCell(row, 'call', 'buy'),
+      element('td', 'strike', row.strike.toFixed(2)),
+      quoteCell(row, 'put', 'sell'),
+      quoteCell(row, 'put', 'buy'),
+      element('td', null, formatPercent(row.putIv)),
+    );
+    table.append(tr);
+  });
+
+  container.replaceChildren(table);
+};
+
+// Leg builder
+
+const updateLeg = (id, changes) => {
+  state.legs = state.legs.map(leg => (leg.id === id ? { ...leg, ...changes } : leg));
+  renderStrategy();
+};
+
+const renderLegs = () => {
+  const container = document.getElementById('legs-container');
+  if (state.legs.length === 0) {
+    renderMessage(container, 'No legs yet. Pick quotes from the chain or load a suggested strategy.');
+    return;
+  }
+
+  const list = element('ul', 'leg-list');
+  state.legs.forEach(leg => {
+    const item = element('li', 'leg');
+    const quantity = element('input');
+    quantity.type = 'number';
+    quantity.min = '1';
+    quantity.value = leg.quantity;
+    quantity.addEventListener('change', () => {
+      const value = parseInt(quantity.value, 10);
+      if (value > 0) updateLeg(leg.id, { quantity: value });
+    });
+
+    const flip = element('button', null, leg.action === 'buy' ? 'Sell instead' : 'Buy instead');
+    flip.addEventListener('click', () => updateLeg(leg.id, { action: leg.action === 'buy' ? 'sell' : 'buy' }));
+
+    const remove = element('button', null, 'Remove');
+    remove.addEventListener('click', () => {
+      state.legs = state.legs.filter(other => other.id !== leg.id);
+      renderStrategy();
+    });
+
+    item.append(element('span', 'leg-label', describeLeg(leg)), quantity, flip, remove);
+    list.append(item);
+  });
+
+  container.replaceChildren(list);
+};
+
+// Payoff chart: the same curves as the mobile PayoffChart, drawn on a canvas
+
+const drawPayoffChart = (canvas, { points, horizons }, spot) => {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const padding = { left: 64, right: 16, top: 24, bottom: 32 };
+  context.clearRect(0, 0, width, height);
+
+  if (points.length === 0) return;
+
+  const series = [
+    { label: 'Expiry', color: '37, 99, 235', values: points.map(point => point.payoff) },
+    ...horizons.map((horizon, index) => ({
+      label: horizon.label,
+      color: HORIZON_COLORS[index % HORIZON_COLORS.length],
+      values: points.map(point => point.theoretical[index]),
+    })),
+  ];
+  const allValues = series.flatMap(line => line.values);
+  const low = Math.min(0, ...allValues);
+  const high = Math.max(0, ...allValues);
+  const range = high - low || 1;
+  const minPrice = points[0].price;
+  const maxPrice = points[points.length - 1].price;
+
+  const x = price => padding.left + (price - minPrice) / (maxPrice - minPrice) * (width - padding.left - padding.right);
+  const y = value => padding.top + (high - value) / range * (height - padding.top - padding.bottom);
+
+  context.font = '12px sans-serif';
+  context.lineWidth = 1;
+  context.strokeStyle = '#d1d5db';
+  context.fillStyle = '#6b7280';
+
+  // Zero line, spot marker and axis labels
+  context.beginPath();
+  context.moveTo(padding.left, y(0));
+  context.lineTo(width - padding.right, y(0));
+  context.moveTo(x(spot), padding.top);
+  context.lineTo(x(spot), height - padding.bottom);
+  context.stroke();
+  context.fillText(formatMoney(high), 4, padding.top + 4);
+  context.fillText(formatMoney(low), 4, height - padding.bottom);
+  context.fillText(`$${minPrice.toFixed(0)}`, padding.left, height - 8);
+  context.fillText(`$${maxPrice.toFixed(0)}`, width - padding.right - 40, height - 8);
+
+  series.forEach((line, index) => {
+    context.strokeStyle = `rgba(${line.color}, 1)`;
+    context.lineWidth = 2;
+    context.beginPath();
+    points.forEach((point, i) => {
+      const method = i === 0 ? 'moveTo' : 'lineTo';
+      context[method](x(point.price), y(line.values[i]));
+    });
+    context.stroke();
+
+    context.fillStyle = `rgba(${line.color}, 1)`;
+    context.fillText(line.label, padding.left + 8 + index * 90, 14);
+  });
+};
+
+// Overview and Greeks
+
+const renderMetrics = (container, metrics) => {
+  container.replaceChildren(...metrics.map(([label, value]) => {
+    const card = element('div', 'metric');
+    card.append(element('span', 'metric-label', label), element('span', 'metric-value', value));
+    return card;
+  }));
+};
+
+const renderAnalysis = () => {
+  const overview = document.getElementById('overview-container');
+  const greeks = document.getElementById('greeks-container');
+  const canvas = document.getElementById('payoff-chart');
+
+  if (state.legs.length === 0) {
+    overview.replaceChildren();
+    greeks.replaceChildren();
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    return;
+  }
+
+  const { legs, market } = state;
+  const analysis = analyzeStrategy(legs, market);
+  const horizons = horizonDates(legs, market, 2).filter(date => date.label !== 'Expiry');
+
+  drawPayoffChart(
+    canvas,
+    payoffCurves(legs, market, { prices: priceRange(market.spot), horizons }),
+    market.spot
+  );
+
+  renderMetrics(overview, [
+    ['Strategy', analysis.strategyType.name],
+    ['Outlook', `${analysis.strategyType.direction}, ${analysis.strategyType.premium}, ${analysis.strategyType.risk} risk`],
+    ['Net Premium', formatMoney(analysis.netPremium)],
+    ['Max Profit', formatMoney(analysis.maxProfit)],
+    ['Max Loss', formatMoney(analysis.maxLoss)],
+    ['Risk/Reward', Number.isFinite(analysis.riskReward) ? analysis.riskReward.toFixed(2) : '∞'],
+    ['Probability of Profit', formatPercent(analysis.probabilityOfProfit)],
+    ['Expected P&L', formatMoney(analysis.expectedValue)],
+    ['95% VaR', formatMoney(analysis.valueAtRisk)],
+    ['Breakevens', analysis.breakevens.map(price => `$${price.toFixed(2)}`).join(', ') || 'None'],
+  ]);
+
+  renderMetrics(greeks, ['delta', 'gamma', 'theta', 'vega', 'rho'].map(name => [
+    name.charAt(0).toUpperCase() + name.slice(1),
+    analysis.greeks[name].toFixed(4),
+  ]));
+};
+
+const renderStrategy = () => {
+  renderLegs();
+  renderAnalysis();
+};
+
+const loadChain = () => {
+  if (!ensureChain()) {
+    renderMessage(document.getElementById('chain-container'), 'Enter a ticker to load its option chain.', 'error');
+    return;
+  }
+  renderChain();
+  renderStrategy();
+};
+
+const addShares = () => {
+  if (!ensureChain()) return;
+
+  state.legs = [...state.legs, {
+    id: createLegId(),
+    type: 'stock',
+    action: 'buy',
+    quantity: 100,
+    strike: 0,
+    premium: state.chain.currentPrice,
+    expiration: null,
+    multiplier: 1,
+  }];
+  renderStrategy();
+};
+
+const clearLegs = () => {
+  state.legs = [];
+  renderStrategy();
+};
+
+// Strategy finder
+
+const renderSuggestion = (strategy) => {
+  const card = element('div', 'strategy-card');
+  card.append(element('h3', null, `${strategy.rank}. ${strategy.name}`));
+  card.append(element(
+    'p',
+    'strategy-outlook',
+    `${strategy.direction}, ${strategy.premium}, ${strategy.risk} risk`
+  ));
+
+  const legs = element('ul', 'strategy-legs');
+  strategy.legs.forEach(leg => legs.append(element('li', null, describeLeg(leg))));
+  card.append(legs);
+
+  const metrics = element('dl', 'strategy-metrics');
+  [
+    ['P&L at prediction', formatMoney(strategy.pnlAtTarget)],
+    ['Return on capital', formatPercent(strategy.returnOnCapital)],
+    ['Probability of profit', formatPercent(strategy.probabilityOfProfit)],
+    ['Capital required', formatMoney(strategy.capital)],
+    ['Max profit', formatMoney(strategy.maxProfit)],
+    ['Breakevens', strategy.breakevens.map(price => `$${price.toFixed(2)}`).join(', ') || 'None'],
+  ].forEach(([label, value]) => {
+    metrics.append(element('dt', null, label), element('dd', null, value));
+  });
+  card.append(metrics);
+
+  const use = element('button', null, 'Use this strategy');
+  use.addEventListener('click', () => {
+    state.legs = strategy.legs.map(leg => ({ ...leg, id: createLegId() }));
+    renderStrategy();
+  });
+  card.append(use);
+
+  return card;
+};
+
+const analyzeStrategies = () => {
+  const container = document.getElementById('strategies-container');
+  const { targetPrice } = readInputs();
+
+  if (!ensureChain() || !(targetPrice > 0)) {
+    renderMessage(container, 'Enter a ticker, an expiration date and a price prediction above 0.', 'error');
+    return;
+  }
+
+  renderChain();
+  renderStrategy();
+
+  const strategies = findStrategies(state.rows, {
+    market: state.market,
+    expiration: state.expiration,
+    targetPrice,
+    multiplier: state.chain.multiplier,
+  });
+
+  if (strategies.length === 0) {
+    renderMessage(container, `No quoted strategies found for ${state.chain.ticker} on ${state.expiration}.`);
+    return;
+  }
+
+  container.replaceChildren(...strategies.map(renderSuggestion));
+};
+
+// Backtest
+
+// Returns { rule, error }. A blank profit target or stop loss turns that exit
+// off; the days-to-expiry fields are required.
+const readBacktestRule = () => {
+  const number = id => parseFloat(document.getElementById(id).value);
+  const percentOrNull = id => (number(id) > 0 ? number(id) / 100 : null);
+  const targetDte = number('backtest-dte');
+  const exitDte = number('backtest-exit');
+
+  if (!(targetDte > 0)) return { rule: null, error: 'Days to expiry at entry must be greater than 0.' };
+  if (!(exitDte >= 0)) return { rule: null, error: 'Close at days to expiry must be 0 or greater.' };
+
+  return {
+    rule: {
+      templateId: document.getElementById('backtest-template').value,
+      targetDte,
+      profitTarget: percentOrNull('backtest-profit'),
+      exitDte,
+      stopLoss: percentOrNull('backtest-stop'),
+    },
+    error: null,
+  };
+};
+
+const drawEquityChart = (canvas, equityCurve) => {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const padding = { left: 64, right: 16, top: 16, bottom: 24 };
+  context.clearRect(0, 0, width, height);
+
+  if (equityCurve.length < 2) return;
+
+  const values = equityCurve.map(point => point.equity);
+  const low = Math.min(0, ...values);
+  const high = Math.max(0, ...values);
+  const range = high - low || 1;
+  const x = i => padding.left + i / (equityCurve.length - 1) * (width - padding.left - padding.right);
+  const y = value => padding.top + (high - value) / range * (height - padding.top - padding.bottom);
+
+  context.font = '12px sans-serif';
+  context.lineWidth = 1;
+  context.strokeStyle = '#d1d5db';
+  context.fillStyle = '#6b7280';
+  context.beginPath();
+  context.moveTo(padding.left, y(0));
+  context.lineTo(width - padding.right, y(0));
+  context.stroke();
+  context.fillText(formatMoney(high), 4, padding.top + 4);
+  context.fillText(formatMoney(low), 4, height - padding.bottom);
+  context.fillText(equityCurve[0].date, padding.left, height - 6);
+  context.fillText(equityCurve[equityCurve.length - 1].date, width - padding.right - 72, height - 6);
+
+  context.strokeStyle = 'rgba(37, 99, 235, 1)';
+  context.lineWidth = 2;
+  context.beginPath();
+  values.forEach((value, i) => context[i === 0 ? 'moveTo' : 'lineTo'](x(i), y(value)));
+  context.stroke();
+};
+
+const renderTradeLog = (container, trades) => {
+  const table = element('table', 'chain-table');
+  const header = element('tr');
+  ['Entry', 'Exit', 'Expiry', 'Legs', 'Premium', 'P&L', 'Days', 'Exit Reason']
+    .forEach(label => header.append(element('th', null, label)));
+  table.append(header);
+
+  trades.forEach(trade => {
+    const tr = element('tr');
+    tr.append(
+      element('td', null, trade.entryDate),
+      element('td', null, trade.exitDate),
+      element('td', null, trade.expiration),
+      element('td', null, trade.legs.map(leg => `${leg.action === 'buy' ? '+' : '-'}${leg.strike}${leg.type[0]}`).join(' ')),
+      element('td', null, formatMoney(trade.entryPremium)),
+      element('td', null, formatMoney(trade.pnl)),
+      element('td', null, String(trade.daysHeld)),
+      element('td', null, EXIT_REASONS[trade.reason]),
+    );
+    table.append(tr);
+  });
+
+  container.replaceChildren(table);
+};
+
+const renderBacktest = () => {
+  const { summary, trades, equityCurve } = state.backtest;
+
+  renderMetrics(document.getElementById('backtest-summary'), [
+    ['Trades', String(summary.trades)],
+    ['Win rate', formatPercent(summary.winRate)],
+    ['Total P&L', formatMoney(summary.totalPnL)],
+    ['Average P&L', formatMoney(summary.averagePnL)],
+    ['Average win', formatMoney(summary.averageWin)],
+    ['Average loss', formatMoney(summary.averageLoss)],
+    ['Max drawdown', formatMoney(summary.maxDrawdown)],
+  ]);
+  drawEquityChart(document.getElementById('equity-chart'), equityCurve);
+  renderTradeLog(document.getElementById('backtest-trades'), trades);
+};
+
+const runBacktestFromFiles = async () => {
+  const container = document.getElementById('backtest-trades');
+  const files = [...document.getElementById('snapshot-files').files];
+
+  if (files.length === 0) {
+    renderMessage(container, 'Choose one or more chain snapshot files first.', 'error');
+    return;
+  }
+
+  let snapshots;
+  try {
+    const contents = await Promise.all(files.map(file => file.text()));
+    snapshots = contents.flatMap(text => [JSON.parse(text)].flat());
+  } catch (error) {
+    renderMessage(container, `Could not read the snapshots: ${error.message}`, 'error');
+    return;
+  }
+
+  const { rule, error } = readBacktestRule();
+  if (error) {
+    renderMessage(container, error, 'error');
+    return;
+  }
+
+  const result = runBacktest(snapshots, rule);
+  if (result.error) {
+    renderMessage(container, result.error, 'error');
+    return;
+  }
+
+  state.backtest = result;
+  renderBacktest();
+};
+
+const exportTrades = () => {
+  if (!state.backtest || state.backtest.trades.length === 0) return;
+
+  const blob = new Blob([tradesToCsv(state.backtest.trades)], { type: 'text/csv' });
+  const link = element('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'backtest-trades.csv';
+  link.click();
+  // Revoking straight after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+document.getElementById('backtest-template').replaceChildren(...STRATEGY_TEMPLATES.map(template => {
+  const option = element('option', null, template.label);
+  option.value = template.id;
+  option.selected = template.id === 'bullPutSpread';
+  return option;
+}));
+
+// Index.html calls these from inline onclick handlers, which only see globals
+Object.assign(window, {
+  analyzeStrategies,
+  loadChain,
+  addShares,
+  clearLegs,
+  runBacktestFromFiles,
+  exportTrades,
+});
@@ -0,0 +1,130 @@
+// Cox-Ross-Rubinstein binomial pricer for American options. Greeks come from
+// finite differences on the tree since there is no closed form. Cash dividends
+// use the escrowed model: the tree is built on spot less the PV of dividends,
+// and exercise values add back the PV of dividends still to be paid.
+
+import { presentValueOfDividends } from './dividends.js';
+import { legPricingInputs } from './market.js';
+
+export const DEFAULT_BINOMIAL_STEPS = 150;
+
+// A short leg whose time value drops below this (per share) is likely to be assigned
+export const EARLY_ASSIGNMENT_TIME_VALUE = 0.05;
+
+const exerciseValue = (price, strike, optionType) => {
+  return optionType === 'call'
+    ? Math.max(0, price - strike)
+    : Math.max(0, strike - price);
+};
+
+// Values the option on the tree. Besides the price and whether exercising
+// immediately beats holding, the nodes of the first two steps give delta,
+// gamma and theta without the oscillation of re-running bumped trees.
+// dividends is a schedule of { time, amount } with times in years.
+export const binomialPrice = (S, K, T, r, sigma, optionType, {
+  steps = DEFAULT_BINOMIAL_STEPS,
+  dividendYield = 0,
+  dividends = [],
+} = {}) => {
+  if (T <= 0 || sigma <= 0) {
+    const value = exerciseValue(S, K, optionType);
+    return { price: value, exerciseNow: value > 0, delta: 0, gamma: 0, theta: 0 };
+  }
+
+  steps = Math.max(3, steps);
+  const dt = T / steps;
+  const up = Math.exp(sigma * Math.sqrt(dt));
+  const down = 1 / up;
+  const discount = Math.exp(-r * dt);
+  const growth = Math.exp((r - dividendYield) * dt);
+  const pUp = Math.min(1, Math.max(0, (growth - down) / (up - down)));
+  const pDown = 1 - pUp;
+
+  const escrowedSpot = S - presentValueOfDividends(dividends, r);
+  const nodeSpot = (step, i) => escrowedSpot * Math.pow(up, step - 2 * i)
+    + presentValueOfDividends(dividends, r, step * dt);
+
+  const values = new Array(steps + 1);
+  for (let i = 0; i <= steps; i++) {
+    values[i] = exerciseValue(nodeSpot(steps, i), K, optionType);
+  }
+
+  let stepOne = null;
+  let stepTwo = null;
+
+  for (let step = steps - 1; step >= 0; step--) {
+    for (let i = 0; i <= step; i++) {
+      const continuation = discount * (pUp * values[i] + pDown * values[i + 1]);
+      const exercise = exerciseValue(nodeSpot(step, i), K, optionType);
+      values[i] = Math.max(continuation, exercise);
+    }
+
+    if (step === 2) stepTwo = values.slice(0, 3);
+    if (step === 1) stepOne = values.slice(0, 2);
+  }
+
+  const intrinsic = exerciseValue(S, K, optionType);
+  const price = values[0];
+  // Spot spacing is the same on the escrowed tree, so differences use it directly
+  const base = escrowedSpot;
+  const upSpot = base * up * up;
+  const downSpot = base * down * down;
+
+  return {
+    price,
+    exerciseNow: intrinsic > 0 && price - intrinsic < 1e-9,
+    delta: (stepOne[0] - stepOne[1]) / (base * up - base * down),
+    gamma: (
+      (stepTwo[0] - stepTwo[1]) / (upSpot - base) - (stepTwo[1] - stepTwo[2]) / (base - downSpot)
+    ) / (0.5 * (upSpot - downSpot)),
+    // Middle node two steps out has the same spot, so this is pure time decay
+    theta: (stepTwo[1] - price) / (2 * dt),
+  };
+};
+
+export const americanPrice = (S, K, T, r, sigma, optionType, options) => {
+  return binomialPrice(S, K, T, r, sigma, optionType, options).price;
+};
+
+// Same units as blackScholesGreeks: theta per calendar day, vega and rho per 1 point
+export const americanGreeks = (S, K, T, r, sigma, optionType, options) => {
+  if (T <= 0 || sigma <= 0) {
+    const inTheMoney = optionType === 'call' ? S > K : S < K;
+    const delta = inTheMoney ? (optionType === 'call' ? 1 : -1) : 0;
+    return { delta, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  }
+
+  const price = (rate, vol) => americanPrice(S, K, T, rate, vol, optionType, options);
+  const { delta, gamma, theta } = binomialPrice(S, K, T, r, sigma, optionType, options);
+  const lowerVol = Math.max(1e-4, sigma - 0.01);
+
+  return {
+    delta,
+    gamma,
+    theta: theta / 365,
+    vega: (price(r, sigma + 0.01) - price(r, lowerVol)) / ((sigma + 0.01 - lowerVol) * 100),
+    rho: (price(r + 0.01, sigma) - price(r - 0.01, sigma)) / 2,
+  };
+};
+
+// Short option legs that are in the money with almost no time value left, or
+// where the holder is already better off exercising, regardless of the model
+// the strategy is valued with
+export const earlyAssignmentRisks = (legs, market) => {
+  return legs
+    .filter(leg => leg.action === 'sell' && (leg.type === 'call' || leg.type === 'put'))
+    .map(leg => {
+      const {
+        spot, strike, timeToExpiry, rate, volatility, type, dividendYield, dividends,
+      } = legPricingInputs(leg, market);
+      const { price, exerciseNow } = binomialPrice(
+        spot, strike, timeToExpiry, rate, volatility, type, { dividendYield, dividends }
+      );
+      const intrinsic = exerciseValue(spot, strike, type);
+
+      return { leg, timeValue: price - intrinsic, intrinsic, exerciseNow };
+    })
+    .filter(risk => risk.intrinsic > 0 && (
+      risk.exerciseNow || risk.timeValue < EARLY_ASSIGNMENT_TIME_VALUE
+    ));
+};
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { blackScholesPrice } from './pricing.js';
+import { americanPrice, binomialPrice } from './american.js';
+
+test('CRR tree converges to Black-Scholes for calls without dividends', () => {
+  [
+    [100, 100, 1, 0.05, 0.2],
+    [100, 120, 0.25, 0.03, 0.4],
+    [80, 70, 2, 0.01, 0.3],
+  ].forEach(([S, K, T, r, sigma]) => {
+    const tree = binomialPrice(S, K, T, r, sigma, 'call', { steps: 500 }).price;
+    const european = blackScholesPrice(S, K, T, r, sigma, 'call');
+    assert.ok(Math.abs(tree - european) < 0.02, `tree ${tree} vs Black-Scholes ${european}`);
+  });
+});
+
+test('an American put is worth at least the European put and its exercise value', () => {
+  const [S, K, T, r, sigma] = [90, 100, 1, 0.08, 0.25];
+  const american = americanPrice(S, K, T, r, sigma, 'put');
+
+  assert.ok(american >= blackScholesPrice(S, K, T, r, sigma, 'put'));
+  assert.ok(american >= K - S);
+});
+
+test('deep in-the-money puts with a high rate are exercised at once', () => {
+  const { price, exerciseNow } = binomialPrice(40, 100, 1, 0.1, 0.2, 'put');
+
+  assert.equal(exerciseNow, true);
+  assert.ok(Math.abs(price - 60) < 1e-9);
+});
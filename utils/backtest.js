@@ -0,0 +1,254 @@
+// Replays a trading rule over historical option chain snapshots. A snapshot
+// is one day's chain for one expiration, in the shape getOptionChain returns
+// plus the date it was taken:
+//
+//   { date, ticker, currentPrice, expiration, multiplier, options: [rows] }
+//
+// Each day the rule opens a template trade when flat (at the expiry closest to
+// targetDte days out), marks an open trade at the prices it could close at,
+// and closes it at the profit target, the stop loss, exitDte days before
+// expiry, or expiry itself. One trade is open at a time, on one underlying:
+// snapshots of several tickers are rejected rather than mixed.
+
+import { intrinsicValue, isUnderlyingLeg, legExposure, legTheoreticalValue, netPremium } from './pricing.js';
+import { noFees, orderFees } from './fees.js';
+import { createMarket, daysToExpiry } from './market.js';
+import { withImpliedVolatilities } from './impliedVol.js';
+import { analyzeExpiryPayoff } from './payoffAnalysis.js';
+import { resolveTemplate, STRATEGY_TEMPLATES } from './strategyTemplates.js';
+
+// profitTarget and stopLoss are fractions of the trade's max profit (or its
+// debit when profit is unlimited); null (or anything not above 0) turns that
+// exit off
+export const DEFAULT_BACKTEST_RULE = {
+  templateId: 'bullPutSpread',
+  targetDte: 45,
+  profitTarget: 0.5,
+  exitDte: 21,
+  stopLoss: null,
+  fees: noFees(),
+};
+
+export const EXIT_REASONS = {
+  profitTarget: 'Profit target',
+  stopLoss: 'Stop loss',
+  exitDte: 'Days to expiry',
+  expiration: 'Expiration',
+  endOfData: 'End of data',
+};
+
+const quoteFor = (row, type, action) => {
+  if (type === 'call') return action === 'buy' ? row.callAsk : row.callBid;
+  return action === 'buy' ? row.putAsk : row.putBid;
+};
+
+// Groups snapshots into trading days, oldest first, each with its chains
+// keyed by expiration and implied volatilities solved from the quotes
+export const snapshotDays = (snapshots, fees = noFees()) => {
+  const byDate = new Map();
+
+  snapshots.forEach(snapshot => {
+    const day = byDate.get(snapshot.date) || {
+      date: snapshot.date,
+      spot: snapshot.currentPrice,
+      multiplier: snapshot.multiplier,
+      chains: {},
+    };
+    const market = createMarket({ spot: day.spot, valuationDate: snapshot.date, fees });
+    day.chains[snapshot.expiration] = withImpliedVolatilities(snapshot.options || [], market, snapshot.expiration);
+    byDate.set(snapshot.date, day);
+  });
+
+  return [...byDate.values()]
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .map(day => ({
+      ...day,
+      expirations: Object.keys(day.chains).sort(),
+      market: createMarket({ spot: day.spot, valuationDate: day.date, fees }),
+    }));
+};
+
+// Price to close one unit of a leg on a day: the bid to sell a long leg, the
+// ask to buy back a short one, the model value if the chain has no quote,
+// and intrinsic value once it has expired. Shares close at the spot.
+const closingPrice = (leg, day) => {
+  if (isUnderlyingLeg(leg)) return day.spot;
+  if (daysToExpiry(leg.expiration, day.date) <= 0) {
+    return intrinsicValue(day.spot, leg.strike, leg.type);
+  }
+
+  const row = (day.chains[leg.expiration] || []).find(candidate => candidate.strike === leg.strike);
+  const quote = row ? quoteFor(row, leg.type, leg.action === 'buy' ? 'sell' : 'buy') : null;
+  return quote > 0 ? quote : legTheoreticalValue(leg, day.market);
+};
+
+// P&L of closing the trade on a day, fees to open and close included. Legs
+// that have expired settle without an order; the far legs of a calendar are
+// still open at the near expiry and pay to close.
+const markTrade = (trade, day, fees) => {
+  const closeValue = trade.legs.reduce((sum, leg) => sum + closingPrice(leg, day) * legExposure(leg), 0);
+  const openLegs = trade.legs.filter(leg => isUnderlyingLeg(leg) || daysToExpiry(leg.expiration, day.date) > 0);
+  return closeValue - netPremium(trade.legs) - trade.openFees - orderFees(openLegs, fees);
+};
+
+const targetExpiration = (day, targetDte) => {
+  return day.expirations
+    .filter(expiration => daysToExpiry(expiration, day.date) > 0)
+    .reduce((best, expiration) => {
+      const distance = Math.abs(daysToExpiry(expiration, day.date) - targetDte);
+      return !best || distance < best.distance ? { expiration, distance } : best;
+    }, null)?.expiration || null;
+};
+
+const openTrade = (day, rule, template) => {
+  const expiration = targetExpiration(day, rule.targetDte);
+  if (!expiration) return null;
+
+  const { legs } = resolveTemplate(template, {
+    chains: day.chains,
+    expirations: day.expirations,
+    expiration,
+    market: day.market,
+    multiplier: day.multiplier,
+  });
+  if (!legs) return null;
+
+  const { maxProfit } = analyzeExpiryPayoff(legs, day.market);
+  const debit = netPremium(legs);
+
+  return {
+    entryDate: day.date,
+    expiration,
+    legs,
+    entryPremium: debit,
+    openFees: orderFees(legs, rule.fees),
+    // Profit targets and stops are sized off this
+    reference: Number.isFinite(maxProfit) && maxProfit > 0 ? maxProfit : Math.abs(debit),
+  };
+};
+
+const exitReason = (trade, pnl, day, rule) => {
+  const daysLeft = daysToExpiry(trade.expiration, day.date);
+  if (daysLeft <= 0) return 'expiration';
+  if (rule.profitTarget > 0 && pnl >= rule.profitTarget * trade.reference) return 'profitTarget';
+  if (rule.stopLoss > 0 && pnl <= -rule.stopLoss * trade.reference) return 'stopLoss';
+  if (daysLeft <= rule.exitDte) return 'exitDte';
+  return null;
+};
+
+const maxDrawdown = (equityCurve) => {
+  let peak = 0;
+  return equityCurve.reduce((worst, point) => {
+    peak = Math.max(peak, point.equity);
+    return Math.max(worst, peak - point.equity);
+  }, 0);
+};
+
+export const summarizeTrades = (trades, equityCurve) => {
+  const wins = trades.filter(trade => trade.pnl > 0);
+  const losses = trades.filter(trade => trade.pnl <= 0);
+  const total = trades.reduce((sum, trade) => sum + trade.pnl, 0);
+  const average = (list) => (list.length > 0 ? list.reduce((sum, trade) => sum + trade.pnl, 0) / list.length : 0);
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    winRate: trades.length > 0 ? wins.length / trades.length : 0,
+    totalPnL: total,
+    averagePnL: average(trades),
+    averageWin: average(wins),
+    averageLoss: average(losses),
+    maxDrawdown: maxDrawdown(equityCurve),
+  };
+};
+
+// Returns { trades, equityCurve, summary, error }. The equity curve is the
+// cumulative P&L each day, open trades marked to their closing prices.
+export const runBacktest = (snapshots, rule = {}) => {
+  const settings = { ...DEFAULT_BACKTEST_RULE, ...rule };
+  const template = STRATEGY_TEMPLATES.find(item => item.id === settings.templateId);
+  if (!template) {
+    return { trades: [], equityCurve: [], summary: null, error: `Unknown template: ${settings.templateId}` };
+  }
+
+  const tickers = [...new Set(snapshots.map(snapshot => snapshot.ticker).filter(Boolean))];
+  if (tickers.length > 1) {
+    return {
+      trades: [],
+      equityCurve: [],
+      summary: null,
+      error: `Snapshots cover several tickers (${tickers.join(', ')}); backtest one at a time`,
+    };
+  }
+
+  const days = snapshotDays(snapshots, settings.fees);
+  if (days.length === 0) {
+    return { trades: [], equityCurve: [], summary: null, error: 'No chain snapshots to replay' };
+  }
+
+  const trades = [];
+  const equityCurve = [];
+  let realized = 0;
+  let open = null;
+
+  const closeTrade = (day, pnl, reason) => {
+    trades.push({
+      entryDate: open.entryDate,
+      exitDate: day.date,
+      expiration: open.expiration,
+      legs: open.legs,
+      entryPremium: open.entryPremium,
+      pnl,
+      reason,
+      daysHeld: daysToExpiry(day.date, open.entryDate),
+    });
+    realized += pnl;
+    open = null;
+  };
+
+  days.forEach((day, index) => {
+    if (open) {
+      const pnl = markTrade(open, day, settings.fees);
+      const reason = exitReason(open, pnl, day, settings);
+      if (reason) {
+        closeTrade(day, pnl, reason);
+      } else if (index === days.length - 1) {
+        closeTrade(day, pnl, 'endOfData');
+      }
+    }
+
+    // A trade closed today frees the book for a new one tomorrow
+    if (!open && index < days.length - 1 && trades[trades.length - 1]?.exitDate !== day.date) {
+      open = openTrade(day, settings, template);
+    }
+
+    equityCurve.push({
+      date: day.date,
+      equity: realized + (open ? markTrade(open, day, settings.fees) : 0),
+    });
+  });
+
+  return { trades, equityCurve, summary: summarizeTrades(trades, equityCurve), error: null };
+};
+
+const describeLegs = (legs) => {
+  return legs.map(leg => `${leg.action === 'buy' ? '+' : '-'}${leg.quantity} ${leg.strike}${leg.type[0].toUpperCase()}`)
+    .join(' ');
+};
+
+// Trade log as CSV, one row per trade
+export const tradesToCsv = (trades) => {
+  const header = 'Entry Date,Exit Date,Expiration,Legs,Entry Premium,P&L,Days Held,Exit Reason';
+  const rows = trades.map(trade => [
+    trade.entryDate,
+    trade.exitDate,
+    trade.expiration,
+    describeLegs(trade.legs),
+    trade.entryPremium.toFixed(2),
+    trade.pnl.toFixed(2),
+    trade.daysHeld,
+    EXIT_REASONS[trade.reason],
+  ].join(','));
+
+  return [header, ...rows].join('\n');
+};
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { blackScholesPrice } from './pricing.js';
+import { addDays, toIsoDate, yearsToExpiry } from './market.js';
+import { EXIT_REASONS, runBacktest, tradesToCsv } from './backtest.js';
+
+// Daily snapshots of two expirations with the spot pinned at 100 and a flat
+// 25% vol, quoted a cent either side of Black-Scholes
+const flatSnapshots = () => {
+  const expirations = ['2026-02-20', '2026-03-20'];
+  const snapshots = [];
+
+  for (let day = 0; day < 70; day++) {
+    const date = toIsoDate(addDays(new Date('2026-01-02'), day));
+    expirations.filter(expiration => expiration > date).forEach(expiration => {
+      const T = yearsToExpiry(expiration, date);
+      const options = [];
+      for (let strike = 80; strike <= 120; strike += 5) {
+        const call = blackScholesPrice(100, strike, T, 0.05, 0.25, 'call');
+        const put = blackScholesPrice(100, strike, T, 0.05, 0.25, 'put');
+        options.push({
+          strike,
+          callBid: Math.max(0.01, call - 0.01),
+          callAsk: call + 0.01,
+          putBid: Math.max(0.01, put - 0.01),
+          putAsk: put + 0.01,
+        });
+      }
+      snapshots.push({ date, ticker: 'TEST', currentPrice: 100, expiration, multiplier: 100, options });
+    });
+  }
+
+  return snapshots;
+};
+
+test('a short put spread in a flat market exits on its rules and books the P&L', () => {
+  const { trades, equityCurve, summary, error } = runBacktest(flatSnapshots(), {
+    templateId: 'bullPutSpread',
+    targetDte: 45,
+    profitTarget: 0.25,
+    exitDte: 5,
+  });
+
+  assert.equal(error, null);
+  assert.ok(trades.length > 0);
+  trades.forEach(trade => assert.ok(trade.reason in EXIT_REASONS));
+  // Time decay with the spot unchanged works for the seller
+  assert.ok(trades[0].pnl > 0);
+  assert.equal(summary.trades, trades.length);
+  assert.ok(Math.abs(summary.totalPnL - trades.reduce((sum, trade) => sum + trade.pnl, 0)) < 1e-9);
+  assert.ok(Math.abs(equityCurve[equityCurve.length - 1].equity - summary.totalPnL) < 1e-9);
+});
+
+test('a missing profit target never triggers a profit-target exit', () => {
+  const { trades } = runBacktest(flatSnapshots(), { templateId: 'bullPutSpread', profitTarget: null, exitDte: 5 });
+  const { trades: withNaN } = runBacktest(flatSnapshots(), { templateId: 'bullPutSpread', profitTarget: NaN, exitDte: 5 });
+
+  assert.ok(trades.length > 0);
+  assert.ok(trades.every(trade => trade.reason !== 'profitTarget'));
+  assert.deepEqual(withNaN.map(trade => trade.reason), trades.map(trade => trade.reason));
+});
+
+test('unknown templates, empty input and mixed tickers are reported, not thrown', () => {
+  const otherTicker = flatSnapshots().map(snapshot => ({ ...snapshot, ticker: 'OTHER', currentPrice: 50 }));
+
+  assert.ok(runBacktest(flatSnapshots(), { templateId: 'nope' }).error);
+  assert.ok(runBacktest([]).error);
+  assert.match(runBacktest([...flatSnapshots(), ...otherTicker]).error, /several tickers/);
+});
+
+test('a calendar held to the near expiry pays to close its far leg', () => {
+  const rule = { templateId: 'callCalendar', targetDte: 45, profitTarget: null, exitDte: 0 };
+  const [free] = runBacktest(flatSnapshots(), rule).trades;
+  const [charged] = runBacktest(flatSnapshots(), { ...rule, fees: { perContract: 1 } }).trades;
+
+  assert.equal(free.reason, 'expiration');
+  // Two contracts to open, the far one to close; the expired near leg is free
+  assert.ok(Math.abs(free.pnl - charged.pnl - 3) < 1e-9, `${free.pnl - charged.pnl}`);
+});
+
+test('trade log exports one CSV row per trade', () => {
+  const { trades } = runBacktest(flatSnapshots(), { templateId: 'bullPutSpread' });
+  const lines = tradesToCsv(trades).split('\n');
+
+  assert.equal(lines.length, trades.length + 1);
+  assert.match(lines[0], /^Entry Date,Exit Date/);
+});
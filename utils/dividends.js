@@ -0,0 +1,60 @@
+// Carry inputs for an underlying: a continuous dividend yield, discrete cash
+// dividends and a hard-to-borrow fee. Discrete dividends use the escrowed
+// model (spot minus the present value of dividends paid before expiry); the
+// borrow fee lowers the forward exactly like an extra dividend yield.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const emptyCarry = () => ({ dividendYield: 0, borrowRate: 0, dividends: [] });
+
+// Carry of a leg, falling back to the ticker-level carry on the market
+export const legCarry = (leg, market) => {
+  const carry = market.carry || emptyCarry();
+
+  return {
+    dividendYield: leg.dividendYield ?? carry.dividendYield ?? 0,
+    borrowRate: leg.borrowRate ?? carry.borrowRate ?? 0,
+    dividends: leg.dividends ?? carry.dividends ?? [],
+  };
+};
+
+// Cash dividends paid after the valuation date and on or before `timeToExpiry`,
+// with their payment times in years
+export const dividendSchedule = (dividends, valuationDate, timeToExpiry) => {
+  const start = new Date(valuationDate).getTime();
+
+  return dividends
+    .map(dividend => ({
+      time: (Date.parse(dividend.date) - start) / MS_PER_DAY / 365,
+      amount: dividend.amount,
+    }))
+    .filter(dividend => dividend.time > 0 && dividend.time <= timeToExpiry)
+    .sort((a, b) => a.time - b.time);
+};
+
+// Present value at time `from` of the scheduled dividends still to be paid
+export const presentValueOfDividends = (schedule, rate, from = 0) => {
+  return schedule
+    .filter(dividend => dividend.time > from)
+    .reduce((sum, dividend) => sum + dividend.amount * Math.exp(-rate * (dividend.time - from)), 0);
+};
+
+// "2024-02-09:0.24, 2024-05-10:0.25" -> [{ date, amount }]; null when invalid
+export const parseCashDividends = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return [];
+
+  const dividends = [];
+  for (const entry of trimmed.split(',')) {
+    const match = entry.trim().match(/^(\d{4}-\d{2}-\d{2})\s*:\s*(\d+(?:\.\d+)?)$/);
+    if (!match || Number.isNaN(Date.parse(match[1]))) return null;
+
+    dividends.push({ date: match[1], amount: parseFloat(match[2]) });
+  }
+
+  return dividends.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+export const formatCashDividends = (dividends = []) => {
+  return dividends.map(dividend => `${dividend.date}:${dividend.amount}`).join(', ');
+};
@@ -0,0 +1,131 @@
+// Event volatility around earnings and similar announcements. A leg's implied
+// variance to expiry is split into base (diffusive) variance, which accrues
+// with time, and a lump of event variance released on the event date:
+//
+//   sigma^2 * T = base^2 * T + eventStdDev^2
+//
+// The event is given as the expected absolute move (a fraction of spot). For
+// a normal move E|X| = stdDev * sqrt(2 / pi), which is also how an ATM
+// straddle prices the move. Legs expiring on or before the event date carry
+// no event variance. The announcement is assumed after the close, so the
+// crush shows up the next day.
+
+import { isOptionLeg, strategyGreeks, strategyTheoreticalPnL } from './pricing.js';
+import { DEFAULT_VOLATILITY, daysToExpiry, shiftMarket, toIsoDate, yearsToExpiry } from './market.js';
+
+const MIN_VOLATILITY = 0.01;
+const MOVE_FACTOR = Math.sqrt(2 / Math.PI);
+const CURVE_POINTS = 41;
+
+export const eventStdDev = (move) => move / MOVE_FACTOR;
+
+export const expectedMoveFromStdDev = (stdDev) => stdDev * MOVE_FACTOR;
+
+// Mid of the call and put at the strike nearest spot, or null without quotes
+export const atmStraddle = (rows, spot) => {
+  const mid = (bid, ask) => (bid > 0 && ask > 0 ? (bid + ask) / 2 : null);
+  const quoted = rows
+    .map(row => ({ strike: row.strike, call: mid(row.callBid, row.callAsk), put: mid(row.putBid, row.putAsk) }))
+    .filter(row => row.call !== null && row.put !== null);
+  if (quoted.length === 0) return null;
+
+  const atm = quoted.reduce((best, row) => (
+    Math.abs(row.strike - spot) < Math.abs(best.strike - spot) ? row : best
+  ));
+  return { strike: atm.strike, price: atm.call + atm.put };
+};
+
+// Event move implied by an ATM straddle expiring after the event: the
+// straddle's total variance less what the base volatility accounts for.
+// Returns 0 when the straddle is no richer than the base volatility.
+export const impliedEventMove = ({ straddle, spot, timeToExpiry, baseVolatility }) => {
+  const totalStdDev = straddle / (spot * MOVE_FACTOR);
+  const eventVariance = totalStdDev ** 2 - baseVolatility ** 2 * timeToExpiry;
+  return eventVariance > 0 ? expectedMoveFromStdDev(Math.sqrt(eventVariance)) : 0;
+};
+
+// The event is still ahead on its own date and priced into legs expiring after it
+const eventPending = (leg, event, valuationDate) => {
+  return isOptionLeg(leg)
+    && toIsoDate(event.date) >= toIsoDate(valuationDate)
+    && daysToExpiry(leg.expiration, event.date) > 0;
+};
+
+// Splits a leg's volatility, read as the total implied to expiry at the
+// market's valuation date, into base volatility and event variance
+export const splitLegVolatility = (leg, market, event) => {
+  const total = leg.volatility || DEFAULT_VOLATILITY;
+  const timeToExpiry = yearsToExpiry(leg.expiration, market.valuationDate);
+
+  if (!eventPending(leg, event, market.valuationDate) || timeToExpiry <= 0) {
+    return { total, base: total, eventVariance: 0 };
+  }
+
+  const eventVariance = eventStdDev(event.move) ** 2;
+  const baseVariance = (total ** 2 * timeToExpiry - eventVariance) / timeToExpiry;
+  return {
+    total,
+    base: Math.sqrt(Math.max(MIN_VOLATILITY ** 2, baseVariance)),
+    eventVariance,
+  };
+};
+
+// Re-marks each leg's volatility for a later valuation date: base variance
+// over the time left, plus the event variance while the event is still ahead
+export const legsAtDate = (legs, market, event, valuationDate) => {
+  return legs.map(leg => {
+    if (!isOptionLeg(leg)) return leg;
+
+    const { base, eventVariance } = splitLegVolatility(leg, market, event);
+    const timeToExpiry = yearsToExpiry(leg.expiration, valuationDate);
+    if (timeToExpiry <= 0) return leg;
+
+    const pending = eventVariance > 0 && eventPending(leg, event, valuationDate);
+    const variance = base ** 2 * timeToExpiry + (pending ? eventVariance : 0);
+    return { ...leg, volatility: Math.sqrt(variance / timeToExpiry) };
+  });
+};
+
+const horizon = (legs, market, event, days, prices) => {
+  const horizonMarket = shiftMarket(market, { days });
+  const horizonLegs = legsAtDate(legs, market, event, horizonMarket.valuationDate);
+
+  return {
+    date: horizonMarket.valuationDate,
+    legs: horizonLegs,
+    pnl: strategyTheoreticalPnL(horizonLegs, horizonMarket),
+    greeks: strategyGreeks(horizonLegs, horizonMarket),
+    curve: prices.map(price => ({
+      price,
+      pnl: strategyTheoreticalPnL(horizonLegs, shiftMarket(horizonMarket, { spot: price })),
+    })),
+  };
+};
+
+// P&L and Greeks on the event date just before the announcement and on the
+// next day with the event variance gone (the IV crush). The curves span three
+// expected moves either side of spot; crush is the P&L change from the crush
+// and the day passing alone, at an unchanged spot.
+export const analyzeEvent = (legs, market, event) => {
+  const daysToEvent = daysToExpiry(event.date, market.valuationDate);
+  const expectedMove = event.move * market.spot;
+  const low = Math.max(0.01, market.spot - 3 * expectedMove);
+  const step = (market.spot + 3 * expectedMove - low) / (CURVE_POINTS - 1);
+  const prices = Array.from({ length: CURVE_POINTS }, (_, i) => low + step * i);
+
+  const before = horizon(legs, market, event, daysToEvent, prices);
+  const after = horizon(legs, market, event, daysToEvent + 1, prices);
+
+  return {
+    daysToEvent,
+    expectedMove,
+    eventVolatility: eventStdDev(event.move),
+    volatilities: legs.filter(isOptionLeg).map(leg => ({
+      leg,
+      ...splitLegVolatility(leg, market, event),
+    })),
+    before,
+    after,
+    crush: after.pnl - before.pnl,
+  };
+};
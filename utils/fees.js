@@ -0,0 +1,64 @@
+// Contract multipliers and trading costs. Prices and premiums stay per unit of
+// the underlying (per share); P&L figures are for the whole position, scaled
+// by each leg's multiplier and net of the fee schedule.
+
+export const DEFAULT_CONTRACT_MULTIPLIER = 100;
+
+// Units of the underlying per contract: the leg's own multiplier if set,
+// otherwise 100 for standard equity options and 1 for shares and futures
+export const legMultiplier = (leg) => {
+  if (leg.multiplier > 0) return leg.multiplier;
+  return leg.type === 'call' || leg.type === 'put' ? DEFAULT_CONTRACT_MULTIPLIER : 1;
+};
+
+// perContract and exchangePerContract apply to option and futures contracts,
+// perShare to stock legs, perOrder once per ticket. The minimum applies to the
+// commission only; exchange fees are passed through on top of it. roundTrip
+// charges the order again to close the position.
+export const noFees = () => ({
+  perContract: 0,
+  exchangePerContract: 0,
+  perShare: 0,
+  perOrder: 0,
+  minimumPerOrder: 0,
+  roundTrip: false,
+});
+
+// Fees for a single order opening (or closing) all of the legs
+export const orderFees = (legs, schedule = noFees()) => {
+  if (legs.length === 0) return 0;
+
+  const contracts = legs
+    .filter(leg => leg.type !== 'stock')
+    .reduce((sum, leg) => sum + leg.quantity, 0);
+  const shares = legs
+    .filter(leg => leg.type === 'stock')
+    .reduce((sum, leg) => sum + leg.quantity, 0);
+
+  const commission = (schedule.perOrder || 0)
+    + contracts * (schedule.perContract || 0)
+    + shares * (schedule.perShare || 0);
+
+  return Math.max(schedule.minimumPerOrder || 0, commission)
+    + contracts * (schedule.exchangePerContract || 0);
+};
+
+// Total fees charged against the strategy's P&L
+export const strategyFees = (legs, schedule = noFees()) => {
+  return orderFees(legs, schedule) * (schedule.roundTrip ? 2 : 1);
+};
+
+// Validates a schedule typed into a form (strings or numbers). Returns the
+// parsed schedule, or null if any amount is missing or negative.
+export const parseFeeSchedule = (values) => {
+  const schedule = { ...noFees(), roundTrip: Boolean(values.roundTrip) };
+
+  for (const key of ['perContract', 'exchangePerContract', 'perShare', 'perOrder', 'minimumPerOrder']) {
+    const raw = values[key];
+    const amount = raw === '' || raw === undefined ? 0 : Number(raw);
+    if (!Number.isFinite(amount) || amount < 0) return null;
+    schedule[key] = amount;
+  }
+
+  return schedule;
+};
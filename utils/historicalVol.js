@@ -0,0 +1,118 @@
+// Realized volatility from daily OHLC bars, for comparison with implied
+// volatility. All estimators are annualized over 252 trading days:
+//
+// - close-to-close: sample standard deviation of daily log returns
+// - Parkinson: uses the high/low range, about five times as efficient but
+//   blind to overnight gaps
+// - Yang-Zhang: overnight, open-to-close and Rogers-Satchell variances
+//   combined, so gaps and drift are both handled
+//
+// A window of n days uses the last n bars (and the close before them).
+
+const TRADING_DAYS = 252;
+
+export const DEFAULT_WINDOWS = [10, 20, 30, 60];
+
+const REQUIRED_COLUMNS = ['date', 'open', 'high', 'low', 'close'];
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const sampleVariance = (values) => {
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+};
+
+const annualize = (dailyVariance) => Math.sqrt(dailyVariance * TRADING_DAYS);
+
+// Parses CSV text with a header row naming date, open, high, low and close
+// columns in any order and case ("Adj Close" and other columns are ignored).
+// Returns { bars, error }, bars sorted oldest first.
+export const parsePriceCsv = (text) => {
+  const lines = String(text).trim().split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return { bars: null, error: 'Paste a header row and at least one day of prices' };
+
+  const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+  const indexes = REQUIRED_COLUMNS.map(column => header.indexOf(column));
+  const missing = REQUIRED_COLUMNS.filter((_, i) => indexes[i] < 0);
+  if (missing.length > 0) return { bars: null, error: `Missing columns: ${missing.join(', ')}` };
+
+  const bars = [];
+  for (let i = 1; i < lines.length; i++) {
+    const cells = lines[i].split(',').map(cell => cell.trim());
+    const [date, open, high, low, close] = indexes.map(index => cells[index]);
+    const prices = [open, high, low, close].map(Number);
+
+    if (!date || prices.some(price => !(price > 0))) {
+      return { bars: null, error: `Invalid prices on line ${i + 1}` };
+    }
+    bars.push({ date, open: prices[0], high: prices[1], low: prices[2], close: prices[3] });
+  }
+
+  return { bars: bars.sort((a, b) => (a.date < b.date ? -1 : 1)), error: null };
+};
+
+export const closeToCloseVolatility = (bars, window) => {
+  if (bars.length < window + 1 || window < 2) return null;
+
+  const recent = bars.slice(-(window + 1));
+  const returns = recent.slice(1).map((bar, i) => Math.log(bar.close / recent[i].close));
+  return annualize(sampleVariance(returns));
+};
+
+export const parkinsonVolatility = (bars, window) => {
+  if (bars.length < window || window < 1) return null;
+
+  const ranges = bars.slice(-window).map(bar => Math.log(bar.high / bar.low) ** 2);
+  return annualize(mean(ranges) / (4 * Math.log(2)));
+};
+
+export const yangZhangVolatility = (bars, window) => {
+  if (bars.length < window + 1 || window < 2) return null;
+
+  const recent = bars.slice(-(window + 1));
+  const days = recent.slice(1);
+  const overnight = days.map((bar, i) => Math.log(bar.open / recent[i].close));
+  const openToClose = days.map(bar => Math.log(bar.close / bar.open));
+  const rogersSatchell = mean(days.map(bar => (
+    Math.log(bar.high / bar.close) * Math.log(bar.high / bar.open)
+    + Math.log(bar.low / bar.close) * Math.log(bar.low / bar.open)
+  )));
+  const k = 0.34 / (1.34 + (window + 1) / (window - 1));
+
+  return annualize(sampleVariance(overnight) + k * sampleVariance(openToClose) + (1 - k) * rogersSatchell);
+};
+
+// Every estimator over each window; null where the history is too short
+export const realizedVolatilities = (bars, windows = DEFAULT_WINDOWS) => {
+  return windows.map(window => ({
+    window,
+    closeToClose: closeToCloseVolatility(bars, window),
+    parkinson: parkinsonVolatility(bars, window),
+    yangZhang: yangZhangVolatility(bars, window),
+  }));
+};
+
+// ATM implied volatility of a chain: the call and put IVs at the strike
+// nearest spot, averaged. Rows need callIv/putIv (see withImpliedVolatilities)
+// or a shared iv.
+export const atmImpliedVolatility = (rows, spot) => {
+  const quoted = (rows || []).filter(row => (row.callIv ?? row.putIv ?? row.iv) > 0);
+  if (quoted.length === 0) return null;
+
+  const atm = quoted.reduce((best, row) => (
+    Math.abs(row.strike - spot) < Math.abs(best.strike - spot) ? row : best
+  ));
+  const volatilities = [atm.callIv, atm.putIv].filter(volatility => volatility > 0);
+  return volatilities.length > 0 ? mean(volatilities) : atm.iv;
+};
+
+// How implied compares with realized: 'rich' when IV is over 20% above
+// realized, 'cheap' when over 20% below, otherwise 'fair'
+export const premiumVerdict = (implied, realized) => {
+  if (!(implied > 0) || !(realized > 0)) return null;
+
+  const ratio = implied / realized;
+  if (ratio > 1.2) return { ratio, verdict: 'rich' };
+  if (ratio < 0.8) return { ratio, verdict: 'cheap' };
+  return { ratio, verdict: 'fair' };
+};
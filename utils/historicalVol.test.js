@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  closeToCloseVolatility,
+  parkinsonVolatility,
+  parsePriceCsv,
+  premiumVerdict,
+  yangZhangVolatility,
+} from './historicalVol.js';
+
+// Closes alternating up and down by the same log return, so every daily
+// return has magnitude 1% and the sample volatility is known exactly
+const zigzagBars = (days) => {
+  let close = 100;
+  return Array.from({ length: days }, (_, i) => {
+    const open = close;
+    close = open * Math.exp(i % 2 === 0 ? 0.01 : -0.01);
+    return {
+      date: `2026-01-${String(i + 1).padStart(2, '0')}`,
+      open,
+      high: Math.max(open, close),
+      low: Math.min(open, close),
+      close,
+    };
+  });
+};
+
+test('close-to-close volatility of alternating 1% moves', () => {
+  const bars = zigzagBars(21);
+  const window = 20;
+  // Returns of +/-0.01 with mean 0 over an even window
+  const expected = Math.sqrt(0.0001 * window / (window - 1) * 252);
+
+  assert.ok(Math.abs(closeToCloseVolatility(bars, window) - expected) < 1e-9);
+});
+
+test('estimators need enough history', () => {
+  const bars = zigzagBars(5);
+
+  assert.equal(closeToCloseVolatility(bars, 10), null);
+  assert.equal(yangZhangVolatility(bars, 10), null);
+  assert.ok(parkinsonVolatility(bars, 5) > 0);
+});
+
+test('parses CSV columns in any order and sorts oldest first', () => {
+  const { bars, error } = parsePriceCsv('Close,Date,High,Low,Open,Adj Close\n11,2026-01-03,12,10,10.5,11\n10,2026-01-02,10.5,9.5,10,10');
+
+  assert.equal(error, null);
+  assert.deepEqual(bars.map(bar => bar.date), ['2026-01-02', '2026-01-03']);
+  assert.equal(bars[1].open, 10.5);
+  assert.ok(parsePriceCsv('Date,Close\n2026-01-02,10').error);
+});
+
+test('premium verdict thresholds', () => {
+  assert.equal(premiumVerdict(0.3, 0.2).verdict, 'rich');
+  assert.equal(premiumVerdict(0.2, 0.2).verdict, 'fair');
+  assert.equal(premiumVerdict(0.15, 0.2).verdict, 'cheap');
+  assert.equal(premiumVerdict(0, 0.2), null);
+});
@@ -0,0 +1,133 @@
+// Implied volatility solver: Newton-Raphson on Black-Scholes vega with a
+// bisection fallback when Newton leaves the bracket or stalls. Failures come
+// back as { volatility: null, error } so forms can show them as validation errors.
+
+import { blackScholesGreeks, blackScholesPrice } from './pricing.js';
+import { presentValueOfDividends } from './dividends.js';
+import { legPricingInputs } from './market.js';
+
+const MIN_VOLATILITY = 1e-4;
+const MAX_VOLATILITY = 5;
+const PRICE_TOLERANCE = 1e-6;
+const MAX_ITERATIONS = 100;
+
+const failure = (error) => ({ volatility: null, error });
+
+// No-arbitrage bounds of a European option price
+const priceBounds = (S, K, T, r, q, optionType) => {
+  const forwardSpot = S * Math.exp(-q * T);
+  const discountedStrike = K * Math.exp(-r * T);
+
+  return optionType === 'call'
+    ? { lower: Math.max(0, forwardSpot - discountedStrike), upper: forwardSpot }
+    : { lower: Math.max(0, discountedStrike - forwardSpot), upper: discountedStrike };
+};
+
+export const impliedVolatility = ({
+  price,
+  spot,
+  strike,
+  timeToExpiry,
+  rate,
+  type,
+  dividendYield = 0,
+}) => {
+  if (!Number.isFinite(price) || price <= 0) {
+    return failure('Premium must be greater than 0 to solve for volatility');
+  }
+  if (timeToExpiry <= 0) {
+    return failure('Option has expired, implied volatility is undefined');
+  }
+
+  const { lower, upper } = priceBounds(spot, strike, timeToExpiry, rate, dividendYield, type);
+  if (price < lower - PRICE_TOLERANCE) {
+    return failure(`Premium $${price.toFixed(2)} is below intrinsic value $${lower.toFixed(2)}`);
+  }
+  if (price >= upper) {
+    return failure(`Premium $${price.toFixed(2)} is above the maximum option value $${upper.toFixed(2)}`);
+  }
+
+  const priceAt = (vol) => blackScholesPrice(spot, strike, timeToExpiry, rate, vol, type, dividendYield);
+
+  // Brenner-Subrahmanyam starting point, clamped into the search bracket
+  let volatility = Math.min(
+    MAX_VOLATILITY,
+    Math.max(0.05, Math.sqrt(2 * Math.PI / timeToExpiry) * price / spot)
+  );
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+
+  if (priceAt(high) < price) {
+    return failure(`Premium $${price.toFixed(2)} implies a volatility above ${MAX_VOLATILITY * 100}%`);
+  }
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const difference = priceAt(volatility) - price;
+    if (Math.abs(difference) < PRICE_TOLERANCE) {
+      return { volatility, error: null };
+    }
+
+    // Keep the bracket tight so the bisection fallback always converges
+    if (difference > 0) {
+      high = volatility;
+    } else {
+      low = volatility;
+    }
+
+    const vega = blackScholesGreeks(spot, strike, timeToExpiry, rate, volatility, type, dividendYield).vega * 100;
+    const newtonStep = vega > 1e-8 ? volatility - difference / vega : NaN;
+
+    volatility = newtonStep > low && newtonStep < high
+      ? newtonStep
+      : (low + high) / 2;
+  }
+
+  return Math.abs(priceAt(volatility) - price) < 1e-3
+    ? { volatility, error: null }
+    : failure('Implied volatility did not converge');
+};
+
+// Solves the volatility of a leg for a premium under the market's rate and carry
+export const legImpliedVolatility = (leg, market, premium = leg.premium) => {
+  const {
+    spot, strike, timeToExpiry, rate, type, dividendYield, dividends,
+  } = legPricingInputs(leg, market);
+
+  return impliedVolatility({
+    price: premium,
+    spot: spot - presentValueOfDividends(dividends, rate),
+    strike,
+    timeToExpiry,
+    rate,
+    type,
+    dividendYield,
+  });
+};
+
+const quoteVolatilities = (leg, market, bid, ask) => {
+  const solve = (price) => (price > 0 ? legImpliedVolatility(leg, market, price).volatility : null);
+
+  return {
+    bid: solve(bid),
+    mid: bid > 0 && ask > 0 ? solve((bid + ask) / 2) : solve(bid || ask),
+    ask: solve(ask),
+  };
+};
+
+// Adds per-type bid/mid/ask implied volatilities to option chain rows, so calls
+// and puts at the same strike no longer share the row's single iv field
+export const withImpliedVolatilities = (rows, market, expiration) => {
+  return rows.map(row => {
+    const leg = { strike: row.strike, expiration: row.expiration || expiration };
+    const call = quoteVolatilities({ ...leg, type: 'call' }, market, row.callBid, row.callAsk);
+    const put = quoteVolatilities({ ...leg, type: 'put' }, market, row.putBid, row.putAsk);
+
+    return {
+      ...row,
+      callIv: call.mid ?? row.iv,
+      putIv: put.mid ?? row.iv,
+      callIvs: call,
+      putIvs: put,
+    };
+  });
+};
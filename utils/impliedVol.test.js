@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { blackScholesPrice } from './pricing.js';
+import { impliedVolatility } from './impliedVol.js';
+
+test('implied volatility round-trips Black-Scholes prices', () => {
+  const cases = [
+    { spot: 100, strike: 100, timeToExpiry: 1, rate: 0.05, volatility: 0.2, type: 'call' },
+    { spot: 100, strike: 80, timeToExpiry: 0.1, rate: 0.02, volatility: 0.6, type: 'put' },
+    { spot: 50, strike: 60, timeToExpiry: 2, rate: 0.04, volatility: 0.35, type: 'call', dividendYield: 0.03 },
+    { spot: 250, strike: 240, timeToExpiry: 30 / 365, rate: 0.05, volatility: 0.12, type: 'put' },
+  ];
+
+  cases.forEach(({ volatility, ...inputs }) => {
+    const price = blackScholesPrice(
+      inputs.spot, inputs.strike, inputs.timeToExpiry, inputs.rate, volatility, inputs.type, inputs.dividendYield
+    );
+    const solved = impliedVolatility({ price, ...inputs });
+
+    assert.equal(solved.error, null);
+    assert.ok(Math.abs(solved.volatility - volatility) < 1e-4, `${solved.volatility} vs ${volatility}`);
+  });
+});
+
+test('implied volatility rejects prices outside the no-arbitrage bounds', () => {
+  const inputs = { spot: 100, strike: 90, timeToExpiry: 0.5, rate: 0.05, type: 'call' };
+
+  assert.equal(impliedVolatility({ ...inputs, price: 5 }).volatility, null);
+  assert.equal(impliedVolatility({ ...inputs, price: 100 }).volatility, null);
+  assert.equal(impliedVolatility({ ...inputs, price: 0 }).volatility, null);
+  assert.equal(impliedVolatility({ ...inputs, price: 12, timeToExpiry: 0 }).volatility, null);
+});
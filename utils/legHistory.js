@@ -0,0 +1,79 @@
+// Undo/redo history for building a strategy. Every change to the leg list goes
+// through legHistoryReducer as a command, which records the previous list so
+// it can be restored. Use with React's useReducer; dispatch is stable, so
+// commands can be sent from callbacks that outlive a render (e.g. the
+// StrategyForm modal's onConfirm).
+
+import { addLegs, duplicateLeg, flipLeg, moveLeg, removeLeg, replaceLeg } from './legs.js';
+
+export const MAX_HISTORY = 50;
+
+export const initialLegHistory = (legs = []) => ({
+  past: [],
+  present: legs,
+  future: [],
+});
+
+// Each command returns the next leg list and a label for the undo/redo buttons
+const COMMANDS = {
+  add: (legs, { legs: newLegs }) => ({
+    legs: addLegs(legs, newLegs),
+    label: newLegs.length === 1 ? 'Add leg' : `Add ${newLegs.length} legs`,
+  }),
+  replace: (legs, { id, leg }) => ({ legs: replaceLeg(legs, id, leg), label: 'Edit leg' }),
+  remove: (legs, { id }) => ({ legs: removeLeg(legs, id), label: 'Remove leg' }),
+  duplicate: (legs, { id }) => ({ legs: duplicateLeg(legs, id), label: 'Duplicate leg' }),
+  flip: (legs, { id }) => ({ legs: flipLeg(legs, id), label: 'Flip leg' }),
+  move: (legs, { id, offset }) => ({ legs: moveLeg(legs, id, offset), label: 'Move leg' }),
+  clear: () => ({ legs: [], label: 'Clear legs' }),
+};
+
+export const legHistoryReducer = (state, action) => {
+  if (action.type === 'undo') {
+    if (state.past.length === 0) return state;
+    const entry = state.past[state.past.length - 1];
+    return {
+      past: state.past.slice(0, -1),
+      present: entry.legs,
+      future: [{ legs: state.present, label: entry.label }, ...state.future],
+    };
+  }
+
+  if (action.type === 'redo') {
+    if (state.future.length === 0) return state;
+    const [entry, ...future] = state.future;
+    return {
+      past: [...state.past, { legs: state.present, label: entry.label }],
+      present: entry.legs,
+      future,
+    };
+  }
+
+  if (action.type === 'reset') {
+    return initialLegHistory(action.legs);
+  }
+
+  const command = COMMANDS[action.type];
+  if (!command) {
+    throw new Error(`Unknown leg history action: ${action.type}`);
+  }
+
+  const { legs, label } = command(state.present, action);
+  // Commands that change nothing (e.g. moving the first leg up) are not recorded
+  if (legs === state.present) return state;
+
+  return {
+    past: [...state.past, { legs: state.present, label }].slice(-MAX_HISTORY),
+    present: legs,
+    future: [],
+  };
+};
+
+export const canUndo = (state) => state.past.length > 0;
+
+export const canRedo = (state) => state.future.length > 0;
+
+// Labels of the commands undo and redo would reverse or reapply, or null
+export const undoLabel = (state) => (canUndo(state) ? state.past[state.past.length - 1].label : null);
+
+export const redoLabel = (state) => (canRedo(state) ? state.future[0].label : null);
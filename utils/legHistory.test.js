@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canRedo, canUndo, initialLegHistory, legHistoryReducer, MAX_HISTORY, undoLabel } from './legHistory.js';
+
+const leg = (strike) => ({ type: 'call', action: 'buy', quantity: 1, strike, premium: 1 });
+
+test('undo and redo walk back and forth through commands', () => {
+  let state = initialLegHistory();
+  state = legHistoryReducer(state, { type: 'add', legs: [leg(100), leg(105)] });
+  const [first] = state.present;
+  state = legHistoryReducer(state, { type: 'flip', id: first.id });
+
+  assert.equal(state.present[0].action, 'sell');
+  assert.equal(undoLabel(state), 'Flip leg');
+
+  state = legHistoryReducer(state, { type: 'undo' });
+  assert.equal(state.present[0].action, 'buy');
+  assert.ok(canRedo(state));
+
+  state = legHistoryReducer(state, { type: 'redo' });
+  assert.equal(state.present[0].action, 'sell');
+  assert.ok(!canRedo(state));
+});
+
+test('legs added together get distinct ids', () => {
+  const state = legHistoryReducer(initialLegHistory(), { type: 'add', legs: [leg(100), leg(100), leg(100)] });
+  assert.equal(new Set(state.present.map(added => added.id)).size, 3);
+});
+
+test('no-op commands are not recorded and history is capped', () => {
+  let state = legHistoryReducer(initialLegHistory(), { type: 'add', legs: [leg(100)] });
+  const moved = legHistoryReducer(state, { type: 'move', id: state.present[0].id, offset: -1 });
+  assert.equal(moved, state);
+
+  for (let i = 0; i < MAX_HISTORY + 10; i++) {
+    state = legHistoryReducer(state, { type: 'flip', id: state.present[0].id });
+  }
+  assert.equal(state.past.length, MAX_HISTORY);
+  assert.ok(canUndo(state));
+});
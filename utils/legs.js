@@ -0,0 +1,44 @@
+// Pure operations on a strategy's leg list. Legs are identified by their id
+// alone, so a buy and a sell at the same strike, or two identical legs, can
+// sit side by side and still be edited independently.
+
+let lastId = 0;
+
+// Unique, increasing ids even when several legs are created in the same millisecond
+export const createLegId = () => {
+  lastId = Math.max(lastId + 1, Date.now());
+  return lastId;
+};
+
+export const withLegId = (leg) => (leg.id ? leg : { ...leg, id: createLegId() });
+
+export const addLegs = (legs, newLegs) => [...legs, ...newLegs.map(withLegId)];
+
+export const replaceLeg = (legs, id, leg) => {
+  return legs.map(existing => (existing.id === id ? { ...leg, id } : existing));
+};
+
+export const removeLeg = (legs, id) => legs.filter(leg => leg.id !== id);
+
+// Inserts a copy with a new id right after the original
+export const duplicateLeg = (legs, id) => {
+  return legs.flatMap(leg => (leg.id === id ? [leg, { ...leg, id: createLegId() }] : [leg]));
+};
+
+export const flipLeg = (legs, id) => {
+  return legs.map(leg => (
+    leg.id === id ? { ...leg, action: leg.action === 'buy' ? 'sell' : 'buy' } : leg
+  ));
+};
+
+// Moves a leg up (offset -1) or down (offset 1); out-of-range moves are ignored
+export const moveLeg = (legs, id, offset) => {
+  const from = legs.findIndex(leg => leg.id === id);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= legs.length) return legs;
+
+  const reordered = [...legs];
+  const [leg] = reordered.splice(from, 1);
+  reordered.splice(to, 0, leg);
+  return reordered;
+};
@@ -0,0 +1,89 @@
+// Market context shared by every valuation: spot, valuation date, rate curve,
+// the ticker's carry (dividends and borrow), the pricing model
+// ('european' or 'american') and the fee schedule charged against P&L.
+// Each leg is priced off its own expiration relative to the valuation date.
+
+import { DEFAULT_RISK_FREE_RATE, flatRateCurve, rateForTenor } from './rates.js';
+import { dividendSchedule, emptyCarry, legCarry } from './dividends.js';
+import { noFees } from './fees.js';
+
+export const DEFAULT_VOLATILITY = 0.2;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Accepts a Date or an ISO 'YYYY-MM-DD' string and returns midnight UTC of that day
+const toUtcDay = (date) => {
+  if (typeof date === 'string') {
+    const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  }
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+export const addDays = (date, days) => {
+  return new Date(toUtcDay(date) + days * MS_PER_DAY);
+};
+
+export const toIsoDate = (date) => {
+  return new Date(toUtcDay(date)).toISOString().slice(0, 10);
+};
+
+export const daysToExpiry = (expiration, valuationDate) => {
+  if (!expiration) return 0;
+  return Math.max(0, Math.round((toUtcDay(expiration) - toUtcDay(valuationDate)) / MS_PER_DAY));
+};
+
+export const yearsToExpiry = (expiration, valuationDate) => {
+  return daysToExpiry(expiration, valuationDate) / 365;
+};
+
+export const createMarket = ({
+  spot,
+  valuationDate = new Date(),
+  rateCurve = flatRateCurve(DEFAULT_RISK_FREE_RATE),
+  carry = emptyCarry(),
+  model = 'european',
+  fees = noFees(),
+}) => ({
+  spot,
+  valuationDate: addDays(valuationDate, 0),
+  rateCurve,
+  carry,
+  model,
+  fees,
+});
+
+// Returns a copy of the market moved forward in time and/or to another spot
+export const shiftMarket = (market, { days = 0, spot = market.spot } = {}) => ({
+  ...market,
+  spot,
+  valuationDate: addDays(market.valuationDate, days),
+});
+
+// Resolves the model inputs for a leg; overrides replace the leg's volatility
+// or the market spot for scenario analysis. dividendYield already includes the
+// borrow fee and dividends is the cash dividend schedule up to expiry.
+export const legPricingInputs = (leg, market, overrides = {}) => {
+  const timeToExpiry = yearsToExpiry(leg.expiration, market.valuationDate);
+  const carry = legCarry(leg, market);
+
+  return {
+    spot: overrides.spot ?? market.spot,
+    strike: leg.strike,
+    timeToExpiry,
+    rate: rateForTenor(market.rateCurve, timeToExpiry),
+    volatility: overrides.volatility ?? (leg.volatility || DEFAULT_VOLATILITY),
+    type: leg.type,
+    dividendYield: carry.dividendYield + carry.borrowRate,
+    dividends: dividendSchedule(carry.dividends, market.valuationDate, timeToExpiry),
+  };
+};
+
+// Days until the earliest leg expires, used as the horizon for decay charts
+export const nearestExpiryDays = (legs, market) => {
+  const days = legs
+    .filter(leg => leg.expiration)
+    .map(leg => daysToExpiry(leg.expiration, market.valuationDate));
+
+  return days.length > 0 ? Math.min(...days) : 0;
+};
@@ -0,0 +1,88 @@
+// Deterministic option chain for offline use: the web page runs against it
+// from a static server, and it is handy in development. Quotes are
+// Black-Scholes prices on a skewed smile with a bid/ask spread, returned in
+// the same shape as the API's /options/chain response.
+
+import { blackScholesPrice } from './pricing.js';
+import { DEFAULT_RISK_FREE_RATE } from './rates.js';
+import { DEFAULT_CONTRACT_MULTIPLIER } from './fees.js';
+import { addDays, toIsoDate, yearsToExpiry } from './market.js';
+
+const MOCK_SPOTS = { AAPL: 185, MSFT: 410, SPY: 500, QQQ: 430, TSLA: 240, AMZN: 175 };
+
+// Stable made-up spot for tickers without a preset
+const spotFor = (ticker) => {
+  if (MOCK_SPOTS[ticker]) return MOCK_SPOTS[ticker];
+  const hash = [...ticker].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 9973, 7);
+  return 20 + hash % 380;
+};
+
+const strikeStep = (spot) => {
+  if (spot < 50) return 1;
+  if (spot < 200) return 2.5;
+  return 5;
+};
+
+// Put skew plus a little curvature, in log-moneyness
+const smileVolatility = (spot, strike) => {
+  const moneyness = Math.log(strike / spot);
+  return Math.max(0.08, 0.24 - 0.3 * moneyness + 0.8 * moneyness * moneyness);
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const quote = (price) => {
+  const spread = Math.max(0.02, price * 0.04);
+  return {
+    bid: roundCents(Math.max(0, price - spread / 2)),
+    ask: roundCents(price + spread / 2),
+  };
+};
+
+// Monthly expirations: the third Friday of each of the next `count` months
+export const mockExpirations = (valuationDate = new Date(), count = 6) => {
+  const start = addDays(valuationDate, 0);
+
+  return Array.from({ length: count + 1 }, (_, i) => {
+    const first = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, 1));
+    const firstFriday = 1 + (5 - first.getUTCDay() + 7) % 7;
+    return toIsoDate(new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), firstFriday + 14)));
+  })
+    .filter(date => date > toIsoDate(start))
+    .slice(0, count);
+};
+
+export const createMockChain = ({ ticker, expiration, valuationDate = new Date() }) => {
+  const spot = spotFor(ticker.toUpperCase());
+  const step = strikeStep(spot);
+  const timeToExpiry = Math.max(1 / 365, yearsToExpiry(expiration, valuationDate));
+  const first = Math.ceil(spot * 0.75 / step) * step;
+  const last = Math.floor(spot * 1.25 / step) * step;
+  const options = [];
+
+  for (let strike = first; strike <= last + 1e-9; strike += step) {
+    const volatility = smileVolatility(spot, strike);
+    const price = (type) => blackScholesPrice(
+      spot, strike, timeToExpiry, DEFAULT_RISK_FREE_RATE, volatility, type
+    );
+    const call = quote(price('call'));
+    const put = quote(price('put'));
+
+    options.push({
+      strike: roundCents(strike),
+      callBid: call.bid,
+      callAsk: call.ask,
+      putBid: put.bid,
+      putAsk: put.ask,
+      iv: volatility,
+    });
+  }
+
+  return {
+    ticker: ticker.toUpperCase(),
+    currentPrice: spot,
+    expirations: mockExpirations(valuationDate),
+    multiplier: DEFAULT_CONTRACT_MULTIPLIER,
+    options,
+  };
+};
@@ -0,0 +1,166 @@
+// Exact expiration metrics for a strategy. At expiry the payoff is piecewise
+// linear with kinks only at the strikes, so evaluating it at the strikes and
+// looking at the slope beyond the outermost ones is enough to find every
+// breakeven and both extremes without scanning a price range.
+//
+// Calendars and diagonals have legs in several expiries. Their "expiration"
+// payoff is taken on the first expiry: legs expiring then are worth intrinsic
+// value and later legs their model value, which is smooth rather than
+// piecewise linear, so those strategies fall back to a bracketed root search.
+
+import {
+  isUnderlyingLeg,
+  legExposure,
+  strategyPayoff,
+  strategyTheoreticalPnL,
+} from './pricing.js';
+import { strategyFees } from './fees.js';
+import { nearestExpiryDays, shiftMarket } from './market.js';
+
+const EPSILON = 1e-9;
+const SEARCH_POINTS = 400;
+
+export const expirationsOf = (legs) => {
+  return [...new Set(legs.map(leg => leg.expiration).filter(Boolean))].sort();
+};
+
+export const isMultiExpiration = (legs) => expirationsOf(legs).length > 1;
+
+// P&L as a function of the underlying price on the first expiry. The market
+// supplies the fee schedule and values the later legs of multi-expiration
+// strategies; without one the payoff is gross of fees.
+export const expiryPayoffFunction = (legs, market) => {
+  if (!market) {
+    return price => strategyPayoff(legs, price);
+  }
+  if (!isMultiExpiration(legs)) {
+    const fees = strategyFees(legs, market.fees);
+    return price => strategyPayoff(legs, price) - fees;
+  }
+
+  const days = nearestExpiryDays(legs, market);
+  return price => strategyTheoreticalPnL(legs, shiftMarket(market, { days, spot: price }));
+};
+
+// Payoff slope (per $1 of underlying) above the highest strike: calls and
+// stock or futures legs move, deep in-the-money calls of any expiry one for one
+const upperSlope = (legs) => {
+  return legs
+    .filter(leg => leg.type === 'call' || isUnderlyingLeg(leg))
+    .reduce((sum, leg) => sum + legExposure(leg), 0);
+};
+
+const sortedStrikes = (legs) => {
+  return [...new Set(legs.map(leg => leg.strike))]
+    .filter(strike => strike > 0)
+    .sort((a, b) => a - b);
+};
+
+// Kink points of the payoff, starting at a zero underlying price
+const kinkPoints = (legs) => [0, ...sortedStrikes(legs)];
+
+// Dense price grid for smooth payoffs: strikes included, reaching well past them
+const searchPoints = (legs, market) => {
+  const strikes = sortedStrikes(legs);
+  const high = Math.max(...strikes, market.spot) * 2;
+  const grid = Array.from({ length: SEARCH_POINTS + 1 }, (_, i) => high * i / SEARCH_POINTS);
+
+  return [...new Set([...grid, ...strikes])].sort((a, b) => a - b);
+};
+
+const pushUnique = (values, value) => {
+  if (!values.some(existing => Math.abs(existing - value) < 1e-6)) {
+    values.push(value);
+  }
+};
+
+const bisect = (payoff, low, high) => {
+  let lowValue = payoff(low);
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    const midValue = payoff(mid);
+    if (lowValue * midValue <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+      lowValue = midValue;
+    }
+  }
+  return (low + high) / 2;
+};
+
+// Roots between consecutive points: linear interpolation is exact for a
+// piecewise-linear payoff, otherwise each bracket is bisected
+const rootsBetween = (points, values, payoff, linear) => {
+  const roots = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const [x0, x1] = [points[i], points[i + 1]];
+    const [y0, y1] = [values[i], values[i + 1]];
+
+    if (Math.abs(y0) < EPSILON && x0 > 0) {
+      pushUnique(roots, x0);
+    } else if (y0 * y1 < 0) {
+      pushUnique(roots, linear ? x0 - y0 * (x1 - x0) / (y1 - y0) : bisect(payoff, x0, x1));
+    }
+  }
+
+  return roots;
+};
+
+export const findBreakevens = (legs, market) => {
+  const linear = !market || !isMultiExpiration(legs);
+  const payoff = expiryPayoffFunction(legs, market);
+  const points = linear ? kinkPoints(legs) : searchPoints(legs, market);
+  const values = points.map(payoff);
+  const breakevens = rootsBetween(points, values, payoff, linear);
+
+  const lastPrice = points[points.length - 1];
+  const lastValue = values[values.length - 1];
+  const slope = upperSlope(legs);
+
+  if (Math.abs(lastValue) < EPSILON && lastPrice > 0) {
+    pushUnique(breakevens, lastPrice);
+  } else if (Math.abs(slope) > EPSILON && lastValue * slope < 0) {
+    // Past the last point the payoff is (close to) linear with this slope
+    pushUnique(breakevens, lastPrice - lastValue / slope);
+  }
+
+  return breakevens.sort((a, b) => a - b);
+};
+
+// Max profit and max loss at expiration. Unlimited sides come back as
+// +/-Infinity with the matching flag set.
+export const findPayoffExtremes = (legs, market) => {
+  const linear = !market || !isMultiExpiration(legs);
+  const payoff = expiryPayoffFunction(legs, market);
+  const values = (linear ? kinkPoints(legs) : searchPoints(legs, market)).map(payoff);
+  const slope = upperSlope(legs);
+
+  const unlimitedProfit = slope > EPSILON;
+  const unlimitedLoss = slope < -EPSILON;
+
+  return {
+    maxProfit: unlimitedProfit ? Infinity : Math.max(...values),
+    maxLoss: unlimitedLoss ? -Infinity : Math.min(...values),
+    unlimitedProfit,
+    unlimitedLoss,
+  };
+};
+
+// Reward per $1 of risk. Unlimited risk always scores 0.
+export const riskRewardRatio = (maxProfit, maxLoss) => {
+  if (!Number.isFinite(maxLoss)) return 0;
+  if (maxLoss >= 0) return Infinity;
+  return maxProfit / Math.abs(maxLoss);
+};
+
+export const analyzeExpiryPayoff = (legs, market) => {
+  const extremes = findPayoffExtremes(legs, market);
+
+  return {
+    ...extremes,
+    breakevens: findBreakevens(legs, market),
+    riskReward: riskRewardRatio(extremes.maxProfit, extremes.maxLoss),
+  };
+};
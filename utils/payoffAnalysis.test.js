@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMarket } from './market.js';
+import { analyzeExpiryPayoff, findBreakevens } from './payoffAnalysis.js';
+
+const market = createMarket({ spot: 100, valuationDate: '2026-01-02' });
+const expiration = '2026-02-20';
+const leg = (type, action, strike, premium) => ({
+  type, action, strike, premium, quantity: 1, multiplier: 100, expiration, volatility: 0.2,
+});
+
+const assertPrices = (actual, expected) => {
+  assert.equal(actual.length, expected.length, `${actual} vs ${expected}`);
+  actual.forEach((price, i) => assert.ok(Math.abs(price - expected[i]) < 1e-6, `${actual} vs ${expected}`));
+};
+
+test('bull call spread: breakeven at long strike plus debit, capped both sides', () => {
+  const analysis = analyzeExpiryPayoff([leg('call', 'buy', 100, 5), leg('call', 'sell', 110, 2)], market);
+
+  assertPrices(analysis.breakevens, [103]);
+  assert.equal(analysis.maxProfit, 700);
+  assert.equal(analysis.maxLoss, -300);
+});
+
+test('bull put spread: breakeven at short strike less credit', () => {
+  const analysis = analyzeExpiryPayoff([leg('put', 'sell', 95, 3), leg('put', 'buy', 90, 1)], market);
+
+  assertPrices(analysis.breakevens, [93]);
+  assert.equal(analysis.maxProfit, 200);
+  assert.equal(analysis.maxLoss, -300);
+});
+
+test('iron condor: breakevens at the short strikes widened by the credit', () => {
+  const legs = [
+    leg('put', 'buy', 85, 0.5),
+    leg('put', 'sell', 90, 1.5),
+    leg('call', 'sell', 110, 1.5),
+    leg('call', 'buy', 115, 0.5),
+  ];
+  const analysis = analyzeExpiryPayoff(legs, market);
+
+  assertPrices(analysis.breakevens, [88, 112]);
+  assert.equal(analysis.maxProfit, 200);
+  assert.equal(analysis.maxLoss, -300);
+});
+
+test('long straddle: two breakevens and unlimited profit', () => {
+  const analysis = analyzeExpiryPayoff([leg('call', 'buy', 100, 4), leg('put', 'buy', 100, 3)], market);
+
+  assertPrices(analysis.breakevens, [93, 107]);
+  assert.equal(analysis.maxProfit, Infinity);
+  assert.equal(analysis.maxLoss, -700);
+});
+
+test('covered call: breakeven at share cost less call premium', () => {
+  const shares = { type: 'stock', action: 'buy', quantity: 100, strike: 0, premium: 100, expiration: null, multiplier: 1 };
+  assertPrices(findBreakevens([shares, leg('call', 'sell', 105, 2)], market), [98]);
+});
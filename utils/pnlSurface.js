@@ -0,0 +1,66 @@
+// Theoretical P&L across underlying price and valuation date, so the payoff
+// chart can show the position before expiry and not only at it. Each leg is
+// valued with the pricing engine at its own IV; on the expiry date the model
+// value collapses to the intrinsic payoff. For calendars the "expiry" is the
+// first expiration, where later legs still carry their model value.
+
+import { strategyTheoreticalPnL } from './pricing.js';
+import { nearestExpiryDays, shiftMarket, toIsoDate } from './market.js';
+import { expiryPayoffFunction } from './payoffAnalysis.js';
+
+export const priceRange = (spot, { low = 0.7, high = 1.3, steps = 50 } = {}) => {
+  const minPrice = spot * low;
+  const maxPrice = spot * high;
+
+  return Array.from({ length: steps + 1 }, (_, i) => minPrice + (maxPrice - minPrice) * (i / steps));
+};
+
+// Evenly spaced valuation dates from today to the first expiration
+export const horizonDates = (legs, market, count = 3) => {
+  const expiryDays = nearestExpiryDays(legs, market);
+  const intervals = Math.max(1, count - 1);
+  const days = [...new Set(
+    Array.from({ length: count }, (_, i) => Math.round(expiryDays * i / intervals))
+  )];
+
+  return days.map(day => {
+    let label = toIsoDate(shiftMarket(market, { days: day }).valuationDate);
+    if (day === 0) label = 'Today';
+    else if (day === expiryDays) label = 'Expiry';
+
+    return { days: day, label };
+  });
+};
+
+// Payoff chart points: expiry payoff plus the model P&L on each horizon date
+export const payoffCurves = (legs, market, { prices = priceRange(market.spot), horizons } = {}) => {
+  const dates = horizons || horizonDates(legs, market);
+  const payoff = expiryPayoffFunction(legs, market);
+
+  return {
+    horizons: dates,
+    points: prices.map(price => ({
+      price,
+      payoff: payoff(price),
+      theoretical: dates.map(date => (
+        strategyTheoreticalPnL(legs, shiftMarket(market, { days: date.days, spot: price }))
+      )),
+    })),
+  };
+};
+
+// Grid of model P&L with prices as rows and dates as columns
+export const pnlHeatmap = (legs, market, {
+  prices = priceRange(market.spot, { low: 0.85, high: 1.15, steps: 8 }),
+  dateCount = 6,
+} = {}) => {
+  const dates = horizonDates(legs, market, dateCount);
+
+  return {
+    prices,
+    dates,
+    rows: prices.map(price => dates.map(date => (
+      strategyTheoreticalPnL(legs, shiftMarket(market, { days: date.days, spot: price }))
+    ))),
+  };
+};
@@ -0,0 +1,119 @@
+// Portfolio roll-up of saved strategies across tickers. Each strategy is
+// repriced against its own underlying; Greeks are position totals scaled by
+// quantity and contract multiplier, as strategyGreeks returns them, and P&L is
+// mark-to-model net of fees.
+//
+// Beta-weighted delta restates each position's delta as SPY shares with the
+// same dollar move for a 1% market move: delta x spot x beta / SPY price.
+
+import { strategyGreeks, strategyTheoreticalPnL, strategyTheoreticalValue } from './pricing.js';
+import { createMarket } from './market.js';
+import { emptyCarry } from './dividends.js';
+import { noFees } from './fees.js';
+
+export const BENCHMARK_TICKER = 'SPY';
+
+const emptyExposure = () => ({
+  delta: 0,
+  gamma: 0,
+  theta: 0,
+  vega: 0,
+  rho: 0,
+  dollarDelta: 0,
+  betaWeightedDelta: 0,
+  value: 0,
+  pnl: 0,
+});
+
+const EXPOSURE_KEYS = Object.keys(emptyExposure());
+
+const addExposure = (totals, exposure) => {
+  return EXPOSURE_KEYS.reduce((sum, key) => ({ ...sum, [key]: sum[key] + exposure[key] }), totals);
+};
+
+// quotes maps each ticker to { price, beta }. A missing beta counts as 1;
+// the benchmark's is 1 by definition.
+export const betaFor = (quotes, ticker) => {
+  if (ticker === BENCHMARK_TICKER) return 1;
+  const beta = quotes[ticker]?.beta;
+  return Number.isFinite(beta) ? beta : 1;
+};
+
+export const strategyMarket = (strategy, spot, { valuationDate, rateCurve } = {}) => {
+  return createMarket({
+    spot,
+    valuationDate,
+    rateCurve,
+    carry: strategy.carry || emptyCarry(),
+    model: strategy.pricingModel || 'european',
+    fees: strategy.fees || noFees(),
+  });
+};
+
+// Exposure of one saved strategy, or null when its ticker has no quote
+export const strategyExposure = (strategy, quotes, options = {}) => {
+  const quote = quotes[strategy.ticker];
+  const benchmark = quotes[BENCHMARK_TICKER];
+  if (!quote || !(quote.price > 0)) return null;
+
+  const legs = strategy.options || [];
+  const market = strategyMarket(strategy, quote.price, options);
+  const greeks = strategyGreeks(legs, market);
+  const beta = betaFor(quotes, strategy.ticker);
+  const dollarDelta = greeks.delta * quote.price;
+
+  return {
+    ...greeks,
+    dollarDelta,
+    betaWeightedDelta: benchmark?.price > 0 ? dollarDelta * beta / benchmark.price : 0,
+    value: strategyTheoreticalValue(legs, market),
+    pnl: strategyTheoreticalPnL(legs, market),
+    beta,
+    spot: quote.price,
+  };
+};
+
+// Rolls every strategy up into per-ticker and portfolio totals. Strategies
+// whose ticker has no quote are listed in `unpriced` and left out of the totals.
+export const analyzePortfolio = (strategies, quotes, options = {}) => {
+  const positions = [];
+  const unpriced = [];
+  const tickers = {};
+
+  strategies.forEach(strategy => {
+    const exposure = strategyExposure(strategy, quotes, options);
+    if (!exposure) {
+      unpriced.push(strategy);
+      return;
+    }
+
+    positions.push({ strategy, exposure });
+
+    const current = tickers[strategy.ticker] || {
+      ticker: strategy.ticker,
+      spot: exposure.spot,
+      beta: exposure.beta,
+      strategies: 0,
+      ...emptyExposure(),
+    };
+    tickers[strategy.ticker] = {
+      ...addExposure(current, exposure),
+      strategies: current.strategies + 1,
+    };
+  });
+
+  const byTicker = Object.values(tickers)
+    .sort((a, b) => Math.abs(b.betaWeightedDelta) - Math.abs(a.betaWeightedDelta));
+
+  return {
+    positions,
+    byTicker,
+    totals: positions.reduce((totals, { exposure }) => addExposure(totals, exposure), emptyExposure()),
+    unpriced,
+  };
+};
+
+// Tickers whose quotes a portfolio needs, benchmark included
+export const portfolioTickers = (strategies) => {
+  return [...new Set([...strategies.map(strategy => strategy.ticker), BENCHMARK_TICKER])];
+};
@@ -0,0 +1,224 @@
+// Pure pricing and payoff engine shared by the mobile screens and the web entry point.
+// Nothing in here may depend on React or React Native.
+
+import { americanGreeks, americanPrice } from './american.js';
+import { presentValueOfDividends } from './dividends.js';
+import { legMultiplier, strategyFees } from './fees.js';
+import { legPricingInputs } from './market.js';
+
+export const PRICING_MODELS = [
+  { id: 'european', label: 'European (Black-Scholes)' },
+  { id: 'american', label: 'American (Binomial)' },
+];
+
+const erf = (x) => {
+  // Abramowitz and Stegun approximation of the error function
+  const a1 =  0.254829592;
+  const a2 = -0.284496736;
+  const a3 =  1.421413741;
+  const a4 = -1.453152027;
+  const a5 =  1.061405429;
+  const p  =  0.3275911;
+
+  const sign = x >= 0 ? 1 : -1;
+  x = Math.abs(x);
+
+  const t = 1.0 / (1.0 + p * x);
+  const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+
+  return sign * y;
+};
+
+export const normCDF = (x) => {
+  return 0.5 * (1 + erf(x / Math.sqrt(2)));
+};
+
+export const normPDF = (x) => {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+};
+
+// +1 for long legs, -1 for short legs
+export const legDirection = (leg) => (leg.action === 'buy' ? 1 : -1);
+
+// Legs on the underlying itself: shares, or futures contracts that deliver at
+// their expiration. Their premium is the cost basis per unit and they have no strike.
+export const UNDERLYING_TYPES = ['stock', 'future'];
+
+export const isUnderlyingLeg = (leg) => UNDERLYING_TYPES.includes(leg.type);
+
+export const isOptionLeg = (leg) => !isUnderlyingLeg(leg);
+
+export const intrinsicValue = (price, strike, optionType) => {
+  return optionType === 'call'
+    ? Math.max(0, price - strike)
+    : Math.max(0, strike - price);
+};
+
+// Signed number of underlying units a leg controls: direction, quantity and multiplier
+export const legExposure = (leg) => legDirection(leg) * leg.quantity * legMultiplier(leg);
+
+// P&L of a single leg at expiration, premium included, before fees
+export const legPayoff = (leg, price) => {
+  const value = isUnderlyingLeg(leg) ? price : intrinsicValue(price, leg.strike, leg.type);
+  return (value - leg.premium) * legExposure(leg);
+};
+
+export const strategyPayoff = (legs, price) => {
+  return legs.reduce((sum, leg) => sum + legPayoff(leg, price), 0);
+};
+
+// Net premium paid to open the strategy (negative for a net credit)
+export const netPremium = (legs) => {
+  return legs.reduce((sum, leg) => sum + leg.premium * legExposure(leg), 0);
+};
+
+const d1d2 = (S, K, T, r, sigma, q) => {
+  const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
+  return { d1, d2: d1 - sigma * Math.sqrt(T) };
+};
+
+// q is a continuous dividend yield (plus any borrow fee)
+export const blackScholesPrice = (S, K, T, r, sigma, optionType, q = 0) => {
+  if (T <= 0 || sigma <= 0) {
+    return intrinsicValue(S, K, optionType);
+  }
+
+  const { d1, d2 } = d1d2(S, K, T, r, sigma, q);
+  const carryDiscount = Math.exp(-q * T);
+
+  if (optionType === 'call') {
+    return S * carryDiscount * normCDF(d1) - K * Math.exp(-r * T) * normCDF(d2);
+  }
+  return K * Math.exp(-r * T) * normCDF(-d2) - S * carryDiscount * normCDF(-d1);
+};
+
+// Theta is per calendar day, vega and rho per 1 percentage point
+export const blackScholesGreeks = (S, K, T, r, sigma, optionType, q = 0) => {
+  if (T <= 0 || sigma <= 0) {
+    // At (or past) expiry only the intrinsic delta is left
+    const inTheMoney = optionType === 'call' ? S > K : S < K;
+    const delta = inTheMoney ? (optionType === 'call' ? 1 : -1) : 0;
+    return { delta, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  }
+
+  const { d1, d2 } = d1d2(S, K, T, r, sigma, q);
+  const carryDiscount = Math.exp(-q * T);
+  const decay = -(S * carryDiscount * normPDF(d1) * sigma) / (2 * Math.sqrt(T));
+
+  let delta, theta, rho;
+
+  if (optionType === 'call') {
+    delta = carryDiscount * normCDF(d1);
+    theta = decay - r * K * Math.exp(-r * T) * normCDF(d2) + q * S * carryDiscount * normCDF(d1);
+    rho = K * T * Math.exp(-r * T) * normCDF(d2);
+  } else {
+    delta = carryDiscount * (normCDF(d1) - 1);
+    theta = decay + r * K * Math.exp(-r * T) * normCDF(-d2) - q * S * carryDiscount * normCDF(-d1);
+    rho = -K * T * Math.exp(-r * T) * normCDF(-d2);
+  }
+
+  const gamma = carryDiscount * normPDF(d1) / (S * sigma * Math.sqrt(T));
+  const vega = S * carryDiscount * normPDF(d1) * Math.sqrt(T);
+
+  return { delta, gamma, theta: theta / 365, vega: vega / 100, rho: rho / 100 };
+};
+
+const emptyGreeks = () => ({ delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 });
+
+// Sums per-leg Greeks, signed by action and scaled by quantity and contract
+// multiplier. greeksForLeg(leg) must return the unsigned Greeks of one unit of that leg.
+export const aggregateGreeks = (legs, greeksForLeg) => {
+  return legs.reduce((totals, leg) => {
+    const greeks = greeksForLeg(leg);
+    const multiplier = legExposure(leg);
+
+    Object.keys(totals).forEach(key => {
+      totals[key] += greeks[key] * multiplier;
+    });
+    return totals;
+  }, emptyGreeks());
+};
+
+// European legs price off the escrowed spot (spot less the PV of cash
+// dividends before expiry); the tree handles cash dividends itself
+const europeanModel = {
+  price: ({ spot, strike, timeToExpiry, rate, volatility, type, dividendYield, dividends }) => {
+    const escrowedSpot = spot - presentValueOfDividends(dividends, rate);
+    return blackScholesPrice(escrowedSpot, strike, timeToExpiry, rate, volatility, type, dividendYield);
+  },
+  greeks: ({ spot, strike, timeToExpiry, rate, volatility, type, dividendYield, dividends }) => {
+    const escrowedSpot = spot - presentValueOfDividends(dividends, rate);
+    return blackScholesGreeks(escrowedSpot, strike, timeToExpiry, rate, volatility, type, dividendYield);
+  },
+};
+
+const americanModel = {
+  price: ({ spot, strike, timeToExpiry, rate, volatility, type, dividendYield, dividends }) => {
+    return americanPrice(spot, strike, timeToExpiry, rate, volatility, type, { dividendYield, dividends });
+  },
+  greeks: ({ spot, strike, timeToExpiry, rate, volatility, type, dividendYield, dividends }) => {
+    return americanGreeks(spot, strike, timeToExpiry, rate, volatility, type, { dividendYield, dividends });
+  },
+};
+
+// Shares are worth the spot. A future is worth its forward price: the spot
+// less the PV of cash dividends before delivery, carried at the rate net of
+// the dividend yield and borrow fee. Neither has gamma or vega.
+const underlyingModel = {
+  price: ({ spot, timeToExpiry, rate, type, dividendYield, dividends }) => {
+    if (type === 'stock') return spot;
+    const escrowedSpot = spot - presentValueOfDividends(dividends, rate);
+    return escrowedSpot * Math.exp((rate - dividendYield) * timeToExpiry);
+  },
+  greeks: (inputs) => {
+    if (inputs.type === 'stock') {
+      return { ...emptyGreeks(), delta: 1 };
+    }
+
+    const { timeToExpiry, rate, dividendYield } = inputs;
+    const forward = underlyingModel.price(inputs);
+
+    return {
+      ...emptyGreeks(),
+      delta: Math.exp((rate - dividendYield) * timeToExpiry),
+      theta: -(rate - dividendYield) * forward / 365,
+      rho: forward * timeToExpiry / 100,
+    };
+  },
+};
+
+const modelFor = (market) => {
+  return market.model === 'american' ? americanModel : europeanModel;
+};
+
+const modelForLeg = (leg, market) => {
+  return isUnderlyingLeg(leg) ? underlyingModel : modelFor(market);
+};
+
+// Theoretical value of one unit of a leg under the given market context
+export const legTheoreticalValue = (leg, market, overrides) => {
+  return modelForLeg(leg, market).price(legPricingInputs(leg, market, overrides));
+};
+
+export const legGreeks = (leg, market, overrides) => {
+  return modelForLeg(leg, market).greeks(legPricingInputs(leg, market, overrides));
+};
+
+export const strategyGreeks = (legs, market, overrides) => {
+  return aggregateGreeks(legs, leg => legGreeks(leg, market, overrides));
+};
+
+// Signed model value of the whole position (what it would cost to open at model prices)
+export const strategyTheoreticalValue = (legs, market, overrides) => {
+  return legs.reduce(
+    (sum, leg) => sum + legTheoreticalValue(leg, market, overrides) * legExposure(leg),
+    0
+  );
+};
+
+// Mark-to-model P&L: model value less the premium paid to open and the
+// market's fee schedule
+export const strategyTheoreticalPnL = (legs, market, overrides) => {
+  return strategyTheoreticalValue(legs, market, overrides) - netPremium(legs)
+    - strategyFees(legs, market.fees);
+};
@@ -0,0 +1,60 @@
+// Run with `npm test` from the repository root
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  blackScholesGreeks,
+  blackScholesPrice,
+  legPayoff,
+  netPremium,
+  normCDF,
+  strategyPayoff,
+} from './pricing.js';
+
+const close = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, message || `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('normCDF matches known values', () => {
+  close(normCDF(0), 0.5, 1e-6);
+  close(normCDF(1.959963984540054), 0.975, 1e-6);
+  close(normCDF(-1), 0.158655, 1e-6);
+});
+
+test('Black-Scholes prices the textbook at-the-money example', () => {
+  // S = K = 100, one year, 5% rate, 20% vol
+  close(blackScholesPrice(100, 100, 1, 0.05, 0.2, 'call'), 10.4506, 1e-3);
+  close(blackScholesPrice(100, 100, 1, 0.05, 0.2, 'put'), 5.5735, 1e-3);
+});
+
+test('Black-Scholes satisfies put-call parity with a dividend yield', () => {
+  const [S, K, T, r, sigma, q] = [120, 110, 0.75, 0.04, 0.35, 0.02];
+  const call = blackScholesPrice(S, K, T, r, sigma, 'call', q);
+  const put = blackScholesPrice(S, K, T, r, sigma, 'put', q);
+  close(call - put, S * Math.exp(-q * T) - K * Math.exp(-r * T), 1e-6);
+});
+
+test('Black-Scholes falls back to intrinsic value at expiry', () => {
+  assert.equal(blackScholesPrice(105, 100, 0, 0.05, 0.2, 'call'), 5);
+  assert.equal(blackScholesPrice(105, 100, 0, 0.05, 0.2, 'put'), 0);
+});
+
+test('Black-Scholes delta and vega agree with bumped prices', () => {
+  const [S, K, T, r, sigma] = [100, 95, 0.5, 0.03, 0.25];
+  const greeks = blackScholesGreeks(S, K, T, r, sigma, 'call');
+  const bump = 0.01;
+
+  const delta = (blackScholesPrice(S + bump, K, T, r, sigma, 'call') - blackScholesPrice(S - bump, K, T, r, sigma, 'call')) / (2 * bump);
+  const vega = (blackScholesPrice(S, K, T, r, sigma + bump, 'call') - blackScholesPrice(S, K, T, r, sigma - bump, 'call')) / (2 * bump * 100);
+  close(greeks.delta, delta, 1e-4);
+  close(greeks.vega, vega, 1e-4);
+});
+
+test('leg and strategy payoffs include premium and the contract multiplier', () => {
+  const longCall = { type: 'call', action: 'buy', quantity: 1, strike: 100, premium: 5, multiplier: 100 };
+  const shortCall = { type: 'call', action: 'sell', quantity: 1, strike: 110, premium: 2, multiplier: 100 };
+
+  assert.equal(legPayoff(longCall, 120), 1500);
+  assert.equal(legPayoff(longCall, 90), -500);
+  assert.equal(strategyPayoff([longCall, shortCall], 120), 700);
+  assert.equal(netPremium([longCall, shortCall]), 300);
+});
@@ -0,0 +1,260 @@
+// Probability of profit under a risk-neutral distribution for the underlying
+// that follows the legs' volatility smile (lognormal when the legs share one
+// IV). The Monte Carlo estimate is seeded so it is reproducible, and a
+// closed-form probability from the same distribution is reported next to it
+// as a cross-check.
+
+import { normCDF } from './pricing.js';
+import { expiryPayoffFunction, findBreakevens } from './payoffAnalysis.js';
+import { DEFAULT_VOLATILITY, nearestExpiryDays } from './market.js';
+import { dividendSchedule, legCarry, presentValueOfDividends } from './dividends.js';
+import { rateForTenor } from './rates.js';
+import { fitSmileFromLegs, smileVolatility } from './volSmile.js';
+
+export const DEFAULT_SIMULATION_PATHS = 10000;
+export const DEFAULT_SIMULATION_SEED = 42;
+
+// z-score of a two-sided 95% confidence interval
+const Z_95 = 1.959963984540054;
+
+// Mulberry32: small, fast and good enough for pricing simulations
+export const createRandom = (seed = DEFAULT_SIMULATION_SEED) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Box-Muller transform returning a pair of independent standard normals
+const normalPair = (random) => {
+  const u1 = Math.max(random(), Number.MIN_VALUE);
+  const u2 = random();
+  const radius = Math.sqrt(-2 * Math.log(u1));
+  return [radius * Math.cos(2 * Math.PI * u2), radius * Math.sin(2 * Math.PI * u2)];
+};
+
+// Implied volatility at a price, read off a smile through the option legs'
+// strikes; stock and futures legs carry no volatility of their own
+const legVolatilityAt = (legs, market) => {
+  const smile = fitSmileFromLegs(legs, market.spot);
+  return price => (smile.points.length > 0 ? smileVolatility(smile, price) : DEFAULT_VOLATILITY);
+};
+
+// The breakeven nearest spot, where the outcome is decided most often; spot
+// itself when the payoff never crosses zero
+const referencePrice = (legs, market) => {
+  const breakevens = findBreakevens(legs, market);
+  if (breakevens.length === 0) return market.spot;
+
+  return breakevens.reduce((nearest, price) => (
+    Math.abs(price - market.spot) < Math.abs(nearest - market.spot) ? price : nearest
+  ));
+};
+
+// Log prices the smile-implied distribution is tabulated at, spanning this
+// many reference standard deviations either side of the mean
+const GRID_POINTS = 121;
+const GRID_WIDTH = 6;
+
+// Tabulates the distribution implied by pricing a digital at each price with
+// the smile's volatility there: P(S_T > x) = N(-z(x)), where z(x) is the
+// standard score of ln x under a lognormal at vol(x). z is forced to rise
+// with x so no price interval gets negative probability. A flat smile gives
+// z linear in ln x, which is the plain lognormal.
+const smileQuantiles = (distribution, volatilityAt) => {
+  const { escrowedSpot, drift, timeToExpiry, logMean, logStdDev } = distribution;
+  const step = 2 * GRID_WIDTH * logStdDev / (GRID_POINTS - 1);
+  const logPrices = Array.from({ length: GRID_POINTS }, (_, i) => logMean - GRID_WIDTH * logStdDev + step * i);
+  const scores = [];
+
+  logPrices.forEach((logPrice, i) => {
+    const volatility = volatilityAt(Math.exp(logPrice));
+    const mean = Math.log(escrowedSpot) + (drift - 0.5 * volatility * volatility) * timeToExpiry;
+    const score = (logPrice - mean) / (volatility * Math.sqrt(timeToExpiry));
+    scores.push(i > 0 ? Math.max(score, scores[i - 1] + 1e-9) : score);
+  });
+
+  return { logPrices, scores };
+};
+
+// Linear interpolation of ys at x over increasing xs, or null outside them
+const interpolate = (xs, ys, x) => {
+  if (x < xs[0] || x > xs[xs.length - 1]) return null;
+
+  let low = 0;
+  let high = xs.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (xs[mid] <= x) low = mid; else high = mid;
+  }
+  const weight = (x - xs[low]) / (xs[high] - xs[low]);
+  return ys[low] + weight * (ys[high] - ys[low]);
+};
+
+// Terminal distribution of the underlying at the strategy's first expiration.
+// The drift is the rate less the dividend yield and borrow fee, and cash
+// dividends paid before expiry come off the starting spot. Probabilities and
+// simulated prices follow the legs' smile (see smileQuantiles); volatility,
+// logMean and logStdDev are the lognormal at the IV of the breakeven nearest
+// spot, used for touch probabilities and beyond the tabulated range.
+export const terminalDistribution = (legs, market) => {
+  const timeToExpiry = nearestExpiryDays(legs, market) / 365;
+  const rate = rateForTenor(market.rateCurve, timeToExpiry);
+  const carry = legCarry(legs[0] || {}, market);
+  const drift = rate - carry.dividendYield - carry.borrowRate;
+  const schedule = dividendSchedule(carry.dividends, market.valuationDate, timeToExpiry);
+  const escrowedSpot = Math.max(1e-8, market.spot - presentValueOfDividends(schedule, rate));
+  const volatilityAt = legVolatilityAt(legs, market);
+  const volatility = volatilityAt(referencePrice(legs, market));
+
+  const distribution = {
+    spot: market.spot,
+    escrowedSpot,
+    timeToExpiry,
+    drift,
+    volatility,
+    // Mean and standard deviation of ln(S_T)
+    logMean: Math.log(escrowedSpot) + (drift - 0.5 * volatility * volatility) * timeToExpiry,
+    logStdDev: volatility * Math.sqrt(timeToExpiry),
+  };
+
+  return {
+    ...distribution,
+    quantiles: distribution.logStdDev > 0 ? smileQuantiles(distribution, volatilityAt) : null,
+  };
+};
+
+// Standard score of ln(price): from the smile table where it has one, from
+// the reference lognormal beyond it
+const scoreOf = (distribution, logPrice) => {
+  const { quantiles, logMean, logStdDev } = distribution;
+  const score = quantiles ? interpolate(quantiles.logPrices, quantiles.scores, logPrice) : null;
+  return score ?? (logPrice - logMean) / logStdDev;
+};
+
+// Inverse of scoreOf
+const logPriceOf = (distribution, score) => {
+  const { quantiles, logMean, logStdDev } = distribution;
+  const logPrice = quantiles ? interpolate(quantiles.scores, quantiles.logPrices, score) : null;
+  return logPrice ?? logMean + logStdDev * score;
+};
+
+// Draws terminal prices in antithetic pairs to reduce sampling noise
+export const simulateTerminalPrices = (distribution, {
+  paths = DEFAULT_SIMULATION_PATHS,
+  seed = DEFAULT_SIMULATION_SEED,
+} = {}) => {
+  const random = createRandom(seed);
+  const prices = new Array(paths);
+
+  for (let i = 0; i < paths; i += 2) {
+    const [z] = normalPair(random);
+    prices[i] = Math.exp(logPriceOf(distribution, z));
+    if (i + 1 < paths) {
+      prices[i + 1] = Math.exp(logPriceOf(distribution, -z));
+    }
+  }
+
+  return prices;
+};
+
+// P(S_T > price) under the same distribution the simulation draws from
+export const probabilityAbove = (distribution, price) => {
+  if (price <= 0) return 1;
+  if (distribution.logStdDev === 0) return Math.exp(distribution.logMean) > price ? 1 : 0;
+  return normCDF(-scoreOf(distribution, Math.log(price)));
+};
+
+// Exact probability that the expiration payoff is positive, found by summing
+// the mass of every price interval between breakevens that pays off
+export const analyticalProbabilityOfProfit = (legs, distribution, market) => {
+  const payoff = expiryPayoffFunction(legs, market);
+  const edges = [0, ...findBreakevens(legs, market), Infinity];
+  let probability = 0;
+
+  for (let i = 0; i < edges.length - 1; i++) {
+    const [lower, upper] = [edges[i], edges[i + 1]];
+    const probe = Number.isFinite(upper) ? (lower + upper) / 2 : lower + Math.max(1, lower);
+
+    if (payoff(probe) > 0) {
+      const upperMass = Number.isFinite(upper) ? probabilityAbove(distribution, upper) : 0;
+      probability += probabilityAbove(distribution, lower) - upperMass;
+    }
+  }
+
+  return probability;
+};
+
+export const probabilityOfProfit = (legs, market, options = {}) => {
+  const distribution = terminalDistribution(legs, market);
+  const payoff = expiryPayoffFunction(legs, market);
+  const prices = simulateTerminalPrices(distribution, options);
+  const profitable = prices.filter(price => payoff(price) > 0).length;
+
+  const probability = profitable / prices.length;
+  const standardError = Math.sqrt(probability * (1 - probability) / prices.length);
+
+  return {
+    probability,
+    standardError,
+    confidenceInterval: [
+      Math.max(0, probability - Z_95 * standardError),
+      Math.min(1, probability + Z_95 * standardError),
+    ],
+    analytical: analyticalProbabilityOfProfit(legs, distribution, market),
+    paths: prices.length,
+  };
+};
+
+// Probability that the underlying trades through `barrier` at any time before
+// expiry, from the reflection principle for a drifted Brownian motion in log price
+export const probabilityOfTouch = (distribution, barrier) => {
+  const { spot, timeToExpiry, drift, volatility } = distribution;
+  if (barrier <= 0) return 0;
+  if (timeToExpiry <= 0 || volatility <= 0) {
+    return barrier === spot ? 1 : 0;
+  }
+
+  const logBarrier = Math.log(barrier / spot);
+  if (logBarrier === 0) return 1;
+
+  const nu = drift - 0.5 * volatility * volatility;
+  const stdDev = volatility * Math.sqrt(timeToExpiry);
+  const reflection = Math.exp(2 * nu * logBarrier / (volatility * volatility));
+  const side = logBarrier > 0 ? -1 : 1;
+
+  const probability = normCDF(side * (logBarrier - nu * timeToExpiry) / stdDev)
+    + reflection * normCDF(side * (logBarrier + nu * timeToExpiry) / stdDev);
+
+  return Math.min(1, probability);
+};
+
+// Expected P&L, 95% value at risk and expected shortfall at expiration from the
+// same simulated distribution as probabilityOfProfit, plus the chance of
+// touching each breakeven before expiry. VaR and shortfall are reported as
+// positive loss amounts.
+export const expirationRiskMetrics = (legs, market, options = {}) => {
+  const distribution = terminalDistribution(legs, market);
+  const payoff = expiryPayoffFunction(legs, market);
+  const outcomes = simulateTerminalPrices(distribution, options)
+    .map(payoff)
+    .sort((a, b) => a - b);
+
+  const tailCount = Math.max(1, Math.floor(outcomes.length * 0.05));
+  const tail = outcomes.slice(0, tailCount);
+
+  return {
+    expectedValue: outcomes.reduce((sum, pnl) => sum + pnl, 0) / outcomes.length,
+    valueAtRisk: Math.max(0, -outcomes[tailCount - 1]),
+    expectedShortfall: Math.max(0, -tail.reduce((sum, pnl) => sum + pnl, 0) / tail.length),
+    touchProbabilities: findBreakevens(legs, market).map(price => ({
+      price,
+      probability: probabilityOfTouch(distribution, price),
+    })),
+  };
+};
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMarket } from './market.js';
+import { normCDF } from './pricing.js';
+import { probabilityAbove, probabilityOfProfit, terminalDistribution } from './probability.js';
+
+const market = createMarket({ spot: 100, valuationDate: '2026-01-02' });
+const expiration = '2026-03-03';
+const leg = (type, action, strike, premium, volatility) => ({
+  type, action, strike, premium, volatility, quantity: 1, multiplier: 100, expiration,
+});
+
+test('terminal distribution gives the risk-neutral lognormal probability', () => {
+  const distribution = terminalDistribution([leg('call', 'buy', 100, 4, 0.25)], market);
+  const { timeToExpiry, volatility } = distribution;
+  const rate = 0.05;
+  const d2 = (Math.log(100 / 110) + (rate - 0.5 * volatility ** 2) * timeToExpiry) / (volatility * Math.sqrt(timeToExpiry));
+
+  assert.equal(volatility, 0.25);
+  assert.ok(Math.abs(probabilityAbove(distribution, 110) - normCDF(d2)) < 1e-9);
+});
+
+test('Monte Carlo probability of profit agrees with the lognormal probability', () => {
+  const legs = [leg('put', 'sell', 95, 2, 0.25), leg('put', 'buy', 90, 1, 0.25)];
+  const { probability, standardError, analytical } = probabilityOfProfit(legs, market);
+
+  assert.ok(Math.abs(probability - analytical) < 4 * standardError, `${probability} vs ${analytical}`);
+});
+
+test('skewed spreads use the IV at the breakeven, not an average of the legs', () => {
+  // Breakeven at 94, between the 95 (30%) and 85 (40%) strikes and nearer 95
+  const legs = [leg('put', 'sell', 95, 1.6, 0.3), leg('put', 'buy', 85, 0.6, 0.4)];
+  const { volatility } = terminalDistribution(legs, market);
+
+  assert.ok(volatility > 0.3 && volatility < 0.35, `volatility ${volatility}`);
+});
+
+test('on a skewed smile the closed form stays inside the Monte Carlo interval', () => {
+  // Put wing priced well above the call wing, as on an equity index
+  const legs = [
+    leg('put', 'buy', 80, 0.3, 0.42),
+    leg('put', 'sell', 88, 0.9, 0.36),
+    leg('call', 'sell', 112, 0.6, 0.22),
+    leg('call', 'buy', 120, 0.2, 0.2),
+  ];
+  const { confidenceInterval: [low, high], analytical } = probabilityOfProfit(legs, market);
+
+  assert.ok(analytical >= low && analytical <= high, `${analytical} outside [${low}, ${high}]`);
+});
+
+test('smile-implied probabilities never give a price interval negative mass', () => {
+  const legs = [leg('put', 'sell', 90, 1, 0.6), leg('call', 'sell', 110, 1, 0.15)];
+  const distribution = terminalDistribution(legs, market);
+  const prices = Array.from({ length: 81 }, (_, i) => 60 + i);
+
+  prices.slice(1).forEach((price, i) => {
+    assert.ok(probabilityAbove(distribution, price) <= probabilityAbove(distribution, prices[i]));
+  });
+});
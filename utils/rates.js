@@ -0,0 +1,82 @@
+// Risk-free rate term structure. Rates are continuously compounded annual decimals
+// and tenors are in years.
+
+export const DEFAULT_RISK_FREE_RATE = 0.05;
+
+const TENOR_UNITS = {
+  D: 1 / 365,
+  W: 7 / 365,
+  M: 1 / 12,
+  Y: 1,
+};
+
+export const createRateCurve = (points) => {
+  const curve = points
+    .filter(point => Number.isFinite(point.years) && Number.isFinite(point.rate))
+    .map(point => ({ years: Math.max(0, point.years), rate: point.rate }))
+    .sort((a, b) => a.years - b.years);
+
+  return curve.length > 0 ? curve : flatRateCurve(DEFAULT_RISK_FREE_RATE);
+};
+
+export const flatRateCurve = (rate) => [{ years: 0, rate }];
+
+// Linear interpolation between pillars, flat beyond the first and last one
+export const rateForTenor = (curve, years) => {
+  if (!curve || curve.length === 0) return DEFAULT_RISK_FREE_RATE;
+  if (years <= curve[0].years) return curve[0].rate;
+
+  const last = curve[curve.length - 1];
+  if (years >= last.years) return last.rate;
+
+  const upperIndex = curve.findIndex(point => point.years >= years);
+  const lower = curve[upperIndex - 1];
+  const upper = curve[upperIndex];
+  const weight = (years - lower.years) / (upper.years - lower.years);
+
+  return lower.rate + (upper.rate - lower.rate) * weight;
+};
+
+// Parses user input in percent: either a single rate ("5.25") or a list of
+// tenor pillars ("1M:5.3, 6M:5.1, 2Y:4.6"). Returns null when the text is invalid.
+export const parseRateCurve = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+
+  if (!trimmed.includes(':')) {
+    const rate = parseFloat(trimmed);
+    return Number.isFinite(rate) ? flatRateCurve(rate / 100) : null;
+  }
+
+  const points = [];
+  for (const entry of trimmed.split(',')) {
+    const match = entry.trim().match(/^(\d+(?:\.\d+)?)\s*([DWMY])\s*:\s*(-?\d+(?:\.\d+)?)$/i);
+    if (!match) return null;
+
+    points.push({
+      years: parseFloat(match[1]) * TENOR_UNITS[match[2].toUpperCase()],
+      rate: parseFloat(match[3]) / 100,
+    });
+  }
+
+  return createRateCurve(points);
+};
+
+export const formatRateCurve = (curve) => {
+  if (curve.length === 1) {
+    return (curve[0].rate * 100).toString();
+  }
+
+  return curve
+    .map(point => {
+      const months = Math.round(point.years * 12);
+      let tenor;
+      if (months === 0) {
+        tenor = `${Math.round(point.years * 365)}D`;
+      } else {
+        tenor = months % 12 === 0 ? `${months / 12}Y` : `${months}M`;
+      }
+      return `${tenor}:${(point.rate * 100).toFixed(2)}`;
+    })
+    .join(', ');
+};
@@ -0,0 +1,141 @@
+// Rolls and adjustments of an open position: chosen legs are closed at the
+// current chain quotes and, unless only closed, reopened at a new strike
+// and/or expiry. The plan reports the cash of the roll order and the position
+// before and after, so the two can be compared side by side.
+
+import { isUnderlyingLeg, legExposure, netPremium } from './pricing.js';
+import { legMultiplier, orderFees } from './fees.js';
+import { analyzeStrategy } from './strategyAnalysis.js';
+import { withLegId } from './legs.js';
+
+const GREEK_KEYS = ['delta', 'gamma', 'theta', 'vega', 'rho'];
+
+const FLAT_GREEKS = { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+
+const failure = (error) => ({ plan: null, error });
+
+const oppositeAction = (action) => (action === 'buy' ? 'sell' : 'buy');
+
+const quoteFor = (row, type, action) => {
+  if (type === 'call') return action === 'buy' ? row.callAsk : row.callBid;
+  return action === 'buy' ? row.putAsk : row.putBid;
+};
+
+const volatilityFor = (row, type) => (type === 'call' ? row.callIv : row.putIv) ?? row.iv;
+
+const findRow = (chains, expiration, strike) => {
+  return (chains[expiration] || []).find(row => row.strike === strike) || null;
+};
+
+// The order that flattens a leg: sells what was bought at the bid, buys back
+// what was sold at the ask. Shares and futures close at the spot.
+const closingLeg = (leg, chains, market) => {
+  const action = oppositeAction(leg.action);
+
+  if (isUnderlyingLeg(leg)) {
+    return { ...leg, action, premium: market.spot };
+  }
+
+  const row = findRow(chains, leg.expiration, leg.strike);
+  const premium = row ? quoteFor(row, leg.type, action) : null;
+  return premium > 0 ? { ...leg, action, premium } : null;
+};
+
+// Realized P&L of closing a leg, before fees
+const closedPnL = (leg, closePremium) => (closePremium - leg.premium) * legExposure(leg);
+
+export const greeksChange = (before, after) => {
+  return GREEK_KEYS.reduce((change, key) => ({ ...change, [key]: after[key] - before[key] }), {});
+};
+
+// rolls lists the legs to act on: { id, strike, expiration, quantity } opens a
+// replacement (missing fields keep the old leg's), { id, closeOnly: true } just
+// closes it. chains maps each expiration to its rows.
+//
+// Each replacement carries the realized P&L of the leg it replaces in its
+// cost basis (premium, with the quoted price in openPremium), so the new
+// breakevens are those of the whole trade, not of the new legs alone.
+export const planRoll = (legs, rolls, { chains, market }) => {
+  const closing = [];
+  const opening = [];
+  const position = [];
+  let realizedPnL = 0;
+
+  for (const leg of legs) {
+    const roll = rolls.find(candidate => candidate.id === leg.id);
+    if (!roll) {
+      position.push(leg);
+      continue;
+    }
+
+    const close = closingLeg(leg, chains, market);
+    if (!close) {
+      return failure(`No quote to close the ${leg.strike} ${leg.type} (${leg.expiration})`);
+    }
+    closing.push(close);
+    const realized = closedPnL(leg, close.premium);
+    realizedPnL += realized;
+
+    if (roll.closeOnly) continue;
+
+    if (isUnderlyingLeg(leg)) {
+      return failure(`${leg.type === 'stock' ? 'Shares' : 'Futures'} can only be closed, not rolled`);
+    }
+
+    const strike = roll.strike ?? leg.strike;
+    const expiration = roll.expiration ?? leg.expiration;
+    const quantity = roll.quantity ?? leg.quantity;
+    if (strike === leg.strike && expiration === leg.expiration) {
+      return failure(`Pick a new strike or expiration for the ${leg.strike} ${leg.type}`);
+    }
+
+    const row = findRow(chains, expiration, strike);
+    const openPremium = row ? quoteFor(row, leg.type, leg.action) : null;
+    if (!(openPremium > 0)) {
+      return failure(`No quote to open the ${strike} ${leg.type} (${expiration})`);
+    }
+
+    const replacement = {
+      type: leg.type,
+      action: leg.action,
+      quantity,
+      strike,
+      premium: openPremium,
+      expiration,
+      volatility: volatilityFor(row, leg.type) || leg.volatility,
+      multiplier: legMultiplier(leg),
+    };
+    opening.push(replacement);
+    position.push(withLegId({
+      ...replacement,
+      premium: openPremium - realized / legExposure(replacement),
+      openPremium,
+      rolledFrom: leg.id,
+    }));
+  }
+
+  if (closing.length === 0) {
+    return failure('Choose at least one leg to roll or close');
+  }
+
+  const order = [...closing, ...opening];
+  const before = analyzeStrategy(legs, market);
+  const after = position.length > 0 ? analyzeStrategy(position, market) : null;
+
+  return {
+    plan: {
+      closing,
+      opening,
+      legs: position,
+      // Positive when the roll order takes in cash
+      netCredit: -netPremium(order),
+      fees: orderFees(order, market.fees),
+      // Realized on every closed leg, rolled ones included
+      realizedPnL,
+      before,
+      after,
+      greeksChange: greeksChange(before.greeks, after ? after.greeks : FLAT_GREEKS),
+    },
+    error: null,
+  };
+};
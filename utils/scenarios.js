@@ -0,0 +1,106 @@
+// Stress-test grid: reprices a strategy under every combination of spot,
+// volatility and time shocks. Spot shocks are fractions of the current spot
+// (-0.2 is a 20% drop), volatility shocks are vol points as decimals (0.1 is
+// +10 points, applied through the fitted smile when there is one) and time
+// shocks are calendar days. Each cell reports the P&L since entry, the change
+// from today's mark and the Greeks in that scenario.
+
+import { isOptionLeg, strategyGreeks, strategyTheoreticalPnL } from './pricing.js';
+import { shiftMarket } from './market.js';
+import { legsUnderSmileScenario } from './volSmile.js';
+
+const MIN_VOLATILITY = 0.01;
+
+export const DEFAULT_SCENARIO_GRID = {
+  spotShocks: [-0.2, -0.1, 0, 0.1, 0.2],
+  volShocks: [-0.1, 0, 0.1],
+  dayShocks: [0, 7],
+};
+
+// Built-in presets; saved ones use the same shape with their own ids
+export const SCENARIO_PRESETS = [
+  { id: 'standard', label: 'Standard grid', builtIn: true, ...DEFAULT_SCENARIO_GRID },
+  {
+    id: 'earningsCrush',
+    label: 'Earnings crush',
+    builtIn: true,
+    spotShocks: [-0.08, -0.04, 0, 0.04, 0.08],
+    volShocks: [-0.2, -0.15, -0.1],
+    dayShocks: [1],
+  },
+  {
+    // Feb 19 to Mar 23, 2020: the S&P 500 fell 34% as the VIX went from 14 to over 60
+    id: 'crash2020',
+    label: '2020 crash',
+    builtIn: true,
+    spotShocks: [-0.35, -0.25, -0.15, -0.05],
+    volShocks: [0.2, 0.35, 0.5],
+    dayShocks: [0, 14, 33],
+  },
+  {
+    id: 'meltUp',
+    label: 'Melt-up',
+    builtIn: true,
+    spotShocks: [0, 0.05, 0.1, 0.15],
+    volShocks: [-0.05, 0, 0.05],
+    dayShocks: [0, 14],
+  },
+];
+
+// Parallel shift of each leg's own volatility when no smile is available
+const legsUnderVolShock = (legs, smile, volShock) => {
+  if (volShock === 0) return legs;
+  if (smile) return legsUnderSmileScenario(legs, smile, { shift: volShock });
+
+  return legs.map(leg => (
+    isOptionLeg(leg)
+      ? { ...leg, volatility: Math.max(MIN_VOLATILITY, (leg.volatility || 0) + volShock) }
+      : leg
+  ));
+};
+
+export const runScenario = (legs, market, { spotShock = 0, volShock = 0, days = 0 }, smile = null) => {
+  const shockedLegs = legsUnderVolShock(legs, smile, volShock);
+  const shockedMarket = shiftMarket(market, { days, spot: market.spot * (1 + spotShock) });
+  const pnl = strategyTheoreticalPnL(shockedLegs, shockedMarket);
+
+  return {
+    spotShock,
+    volShock,
+    days,
+    spot: shockedMarket.spot,
+    pnl,
+    change: pnl - strategyTheoreticalPnL(legs, market),
+    greeks: strategyGreeks(shockedLegs, shockedMarket),
+  };
+};
+
+// One table per day shock, rows by spot shock and columns by vol shock:
+// [{ days, rows: [{ spotShock, spot, cells: [scenario per vol shock] }] }]
+export const runScenarioGrid = (legs, market, grid = DEFAULT_SCENARIO_GRID, smile = null) => {
+  return grid.dayShocks.map(days => ({
+    days,
+    rows: grid.spotShocks.map(spotShock => ({
+      spotShock,
+      spot: market.spot * (1 + spotShock),
+      cells: grid.volShocks.map(volShock => runScenario(legs, market, { spotShock, volShock, days }, smile)),
+    })),
+  }));
+};
+
+// Parses a comma-separated list typed into a form ("-20, -10, 0, 10") and
+// divides each entry by scale (100 for percents and vol points). Returns the
+// sorted, de-duplicated shocks, or null if any entry is not a number.
+export const parseShocks = (text, scale = 1) => {
+  const entries = String(text).split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) return null;
+
+  const values = entries.map(Number);
+  if (values.some(value => !Number.isFinite(value))) return null;
+
+  return [...new Set(values)].sort((a, b) => a - b).map(value => value / scale);
+};
+
+export const formatShocks = (shocks, scale = 1) => {
+  return shocks.map(shock => String(Math.round(shock * scale * 100) / 100)).join(', ');
+};
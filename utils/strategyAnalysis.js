@@ -0,0 +1,37 @@
+// Overview and Greeks metrics of a strategy in one call, so the mobile
+// Analysis screen and the web page report the same numbers. Probabilities are
+// fractions (0 to 1); money figures are dollars for the whole position.
+
+import { netPremium, strategyGreeks } from './pricing.js';
+import { strategyFees } from './fees.js';
+import { analyzeExpiryPayoff } from './payoffAnalysis.js';
+import { expirationRiskMetrics, probabilityOfProfit } from './probability.js';
+import { earlyAssignmentRisks } from './american.js';
+import { recognizeStrategy } from './strategyRecognizer.js';
+
+export const analyzeStrategy = (legs, market, simulation = {}) => {
+  const payoff = analyzeExpiryPayoff(legs, market);
+  const probability = probabilityOfProfit(legs, market, simulation);
+  const risk = expirationRiskMetrics(legs, market, simulation);
+
+  return {
+    greeks: strategyGreeks(legs, market),
+    breakevens: payoff.breakevens,
+    maxProfit: payoff.maxProfit,
+    maxLoss: payoff.maxLoss,
+    unlimitedProfit: payoff.unlimitedProfit,
+    unlimitedLoss: payoff.unlimitedLoss,
+    riskReward: payoff.riskReward,
+    probabilityOfProfit: probability.probability,
+    analyticalProbabilityOfProfit: probability.analytical,
+    probabilityConfidence: probability.confidenceInterval,
+    touchProbabilities: risk.touchProbabilities,
+    expectedValue: risk.expectedValue,
+    valueAtRisk: risk.valueAtRisk,
+    expectedShortfall: risk.expectedShortfall,
+    earlyAssignmentRisks: earlyAssignmentRisks(legs, market),
+    strategyType: recognizeStrategy(legs),
+    netPremium: netPremium(legs),
+    fees: strategyFees(legs, market.fees),
+  };
+};
@@ -0,0 +1,124 @@
+// Strategy finder: builds candidate trades from one expiration of the option
+// chain (long options, the four verticals and butterflies across strikes),
+// values each against the user's predicted price at expiration and ranks them.
+// Shared by the web page and the mobile screens.
+
+import { analyzeExpiryPayoff, expiryPayoffFunction } from './payoffAnalysis.js';
+import { analyticalProbabilityOfProfit, terminalDistribution } from './probability.js';
+import { recognizeStrategy } from './strategyRecognizer.js';
+import { legMultiplier } from './fees.js';
+
+export const DEFAULT_FINDER_OPTIONS = {
+  // Strikes further than this fraction from the spot are skipped
+  strikeRange: 0.2,
+  // Widest vertical or butterfly wing, in strikes
+  maxWidth: 3,
+  limit: 10,
+};
+
+const quote = (row, type, action) => {
+  if (type === 'call') return action === 'buy' ? row.callAsk : row.callBid;
+  return action === 'buy' ? row.putAsk : row.putBid;
+};
+
+const makeLeg = (row, type, action, expiration, multiplier, quantity = 1) => {
+  const leg = {
+    type,
+    action,
+    quantity,
+    strike: row.strike,
+    premium: quote(row, type, action),
+    expiration,
+    volatility: (type === 'call' ? row.callIv : row.putIv) ?? row.iv,
+  };
+  return { ...leg, multiplier: multiplier || legMultiplier(leg) };
+};
+
+// Every leg must trade against a real quote
+const isQuoted = (legs) => legs.every(leg => leg.premium > 0);
+
+export const candidateStrategies = (rows, { spot, expiration, multiplier, strikeRange, maxWidth }) => {
+  const strikes = rows
+    .filter(row => Math.abs(row.strike - spot) <= spot * strikeRange)
+    .sort((a, b) => a.strike - b.strike);
+  const leg = (row, type, action, quantity) => makeLeg(row, type, action, expiration, multiplier, quantity);
+  const candidates = [];
+
+  strikes.forEach((row, i) => {
+    candidates.push([leg(row, 'call', 'buy')]);
+    candidates.push([leg(row, 'put', 'buy')]);
+
+    for (let width = 1; width <= maxWidth; width++) {
+      const upper = strikes[i + width];
+      if (!upper) break;
+
+      candidates.push([leg(row, 'call', 'buy'), leg(upper, 'call', 'sell')]);
+      candidates.push([leg(row, 'call', 'sell'), leg(upper, 'call', 'buy')]);
+      candidates.push([leg(upper, 'put', 'buy'), leg(row, 'put', 'sell')]);
+      candidates.push([leg(upper, 'put', 'sell'), leg(row, 'put', 'buy')]);
+
+      const lower = strikes[i - width];
+      if (lower) {
+        candidates.push([leg(lower, 'call', 'buy'), leg(row, 'call', 'sell', 2), leg(upper, 'call', 'buy')]);
+        candidates.push([leg(lower, 'put', 'buy'), leg(row, 'put', 'sell', 2), leg(upper, 'put', 'buy')]);
+      }
+    }
+  });
+
+  return candidates.filter(isQuoted);
+};
+
+// Capital is the most the trade can lose (the debit paid, or the width less
+// the credit on credit spreads), fees included. The score is the return on
+// that capital at the predicted price, scaled by the probability of profit so
+// a trade that only pays in a narrow band ranks below a steadier one; losing
+// trades keep their raw return so they always sort below winners.
+export const evaluateStrategy = (legs, market, targetPrice) => {
+  const payoff = analyzeExpiryPayoff(legs, market);
+  const capital = -payoff.maxLoss;
+  const pnlAtTarget = expiryPayoffFunction(legs, market)(targetPrice);
+  const probabilityOfProfit = analyticalProbabilityOfProfit(
+    legs,
+    terminalDistribution(legs, market),
+    market
+  );
+  const returnOnCapital = capital > 0 ? pnlAtTarget / capital : 0;
+
+  return {
+    ...recognizeStrategy(legs),
+    legs,
+    pnlAtTarget,
+    probabilityOfProfit,
+    capital,
+    returnOnCapital,
+    maxProfit: payoff.maxProfit,
+    maxLoss: payoff.maxLoss,
+    breakevens: payoff.breakevens,
+    score: returnOnCapital > 0 ? returnOnCapital * probabilityOfProfit : returnOnCapital,
+  };
+};
+
+// Ranked candidates for one expiration, best first
+export const findStrategies = (rows, {
+  market,
+  expiration,
+  targetPrice,
+  multiplier,
+  ...options
+}) => {
+  const settings = { ...DEFAULT_FINDER_OPTIONS, ...options };
+
+  return candidateStrategies(rows, {
+    spot: market.spot,
+    expiration,
+    multiplier,
+    strikeRange: settings.strikeRange,
+    maxWidth: settings.maxWidth,
+  })
+    .map(legs => evaluateStrategy(legs, market, targetPrice))
+    // Skip trades with no capital at risk: those are quote errors, not edges
+    .filter(strategy => strategy.capital > 0 && Number.isFinite(strategy.capital))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.limit)
+    .map((strategy, index) => ({ ...strategy, rank: index + 1 }));
+};
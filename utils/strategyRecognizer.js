@@ -0,0 +1,313 @@
+// Names a strategy from its legs by matching on types, actions, strikes,
+// quantity ratios and expirations, and classifies it by market view
+// (bullish, bearish, neutral or volatile), debit or credit, and whether the
+// risk is defined. Legs on the same contract are netted first, so entering a
+// spread leg by leg or as one ticket gives the same answer.
+
+import { isUnderlyingLeg, netPremium, strategyPayoff } from './pricing.js';
+import { legMultiplier } from './fees.js';
+
+const EPSILON = 1e-9;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Nets legs on the same contract into one signed position per contract
+const consolidate = (legs) => {
+  const positions = new Map();
+
+  legs.forEach(leg => {
+    const underlying = isUnderlyingLeg(leg);
+    const key = [leg.type, underlying ? '' : leg.strike, leg.expiration || ''].join('|');
+    const signed = (leg.action === 'buy' ? 1 : -1) * leg.quantity;
+    const existing = positions.get(key);
+
+    positions.set(key, {
+      type: leg.type,
+      strike: underlying ? 0 : leg.strike,
+      expiration: leg.expiration || null,
+      multiplier: legMultiplier(leg),
+      signed: (existing ? existing.signed : 0) + signed,
+    });
+  });
+
+  return [...positions.values()]
+    .filter(position => Math.abs(position.signed) > EPSILON)
+    .map(({ signed, ...position }) => ({
+      ...position,
+      action: signed > 0 ? 'buy' : 'sell',
+      quantity: Math.abs(signed),
+    }))
+    .sort((a, b) => a.strike - b.strike);
+};
+
+// Quantities divided by their common factor, e.g. 2:4:2 -> 1:2:1
+const ratioOf = (positions) => {
+  const quantities = positions.map(position => Math.round(position.quantity));
+  const divisor = quantities.reduce(gcd);
+  return quantities.map(quantity => quantity / (divisor || 1));
+};
+
+const sameExpiration = (positions) => new Set(positions.map(position => position.expiration)).size <= 1;
+
+const sameType = (positions) => new Set(positions.map(position => position.type)).size === 1;
+
+const typeLabel = (type) => (type === 'call' ? 'Call' : 'Put');
+
+const match = (name, direction) => ({ name, direction });
+
+const singleOption = ({ type, action }) => {
+  if (type === 'call') {
+    return action === 'buy' ? match('Long Call', 'bullish') : match('Short Call', 'bearish');
+  }
+  return action === 'buy' ? match('Long Put', 'bearish') : match('Short Put', 'bullish');
+};
+
+const twoOptions = ([low, high]) => {
+  const oppositeActions = low.action !== high.action;
+  const equalQuantities = low.quantity === high.quantity;
+
+  if (sameType([low, high]) && oppositeActions) {
+    const label = typeLabel(low.type);
+
+    if (!sameExpiration([low, high])) {
+      const [near, far] = low.expiration < high.expiration ? [low, high] : [high, low];
+      const long = far.action === 'buy';
+
+      if (low.strike === high.strike) {
+        return long
+          ? match(`${label} Calendar Spread`, 'neutral')
+          : match(`Short ${label} Calendar Spread`, 'volatile');
+      }
+
+      // Like a vertical, owning the lower strike is bullish for calls and puts alike
+      const bullish = (far.strike < near.strike) === long;
+      return match(`${label} Diagonal Spread`, bullish ? 'bullish' : 'bearish');
+    }
+
+    if (low.strike === high.strike) return null;
+
+    if (equalQuantities) {
+      if (low.type === 'call') {
+        return low.action === 'buy'
+          ? match('Bull Call Spread', 'bullish')
+          : match('Bear Call Spread', 'bearish');
+      }
+      return high.action === 'buy'
+        ? match('Bear Put Spread', 'bearish')
+        : match('Bull Put Spread', 'bullish');
+    }
+
+    // Ratio spreads sell more out-of-the-money contracts than they buy nearer
+    // the money; backspreads buy more
+    const [inner, outer] = low.type === 'call' ? [low, high] : [high, low];
+    if (inner.action === 'buy' && outer.quantity > inner.quantity) {
+      return match(`${label} Ratio Spread`, 'neutral');
+    }
+    if (inner.action === 'sell' && outer.quantity > inner.quantity) {
+      return match(`${label} Backspread`, low.type === 'call' ? 'bullish' : 'bearish');
+    }
+    return null;
+  }
+
+  if (sameType([low, high]) || !sameExpiration([low, high]) || !equalQuantities) {
+    return null;
+  }
+
+  const call = low.type === 'call' ? low : high;
+  const put = low.type === 'put' ? low : high;
+
+  if (call.action === put.action) {
+    const long = call.action === 'buy';
+    const name = call.strike === put.strike ? 'Straddle' : 'Strangle';
+    return long ? match(`Long ${name}`, 'volatile') : match(`Short ${name}`, 'neutral');
+  }
+
+  if (call.strike === put.strike) {
+    return call.action === 'buy'
+      ? match('Synthetic Long Stock', 'bullish')
+      : match('Synthetic Short Stock', 'bearish');
+  }
+  return call.action === 'buy'
+    ? match('Risk Reversal', 'bullish')
+    : match('Short Risk Reversal', 'bearish');
+};
+
+const threeOptions = (positions) => {
+  if (!sameType(positions) || !sameExpiration(positions)) return null;
+
+  const [low, mid, high] = positions;
+  const [a, b, c] = ratioOf(positions);
+  const wingsMatch = low.action === high.action && mid.action !== low.action;
+  if (!wingsMatch || a !== 1 || b !== 2 || c !== 1) return null;
+
+  const label = typeLabel(low.type);
+  const balanced = Math.abs((mid.strike - low.strike) - (high.strike - mid.strike)) < EPSILON;
+  const name = `${balanced ? '' : 'Broken Wing '}${label} Butterfly`;
+
+  return low.action === 'buy'
+    ? match(`Long ${name}`, 'neutral')
+    : match(`Short ${name}`, 'volatile');
+};
+
+const fourOptions = (positions) => {
+  if (!sameExpiration(positions)) return null;
+  if (new Set(ratioOf(positions)).size !== 1) return null;
+
+  const [p1, p2, p3, p4] = positions;
+  const wingsLong = p1.action === 'buy' && p4.action === 'buy' && p2.action === 'sell' && p3.action === 'sell';
+  const wingsShort = p1.action === 'sell' && p4.action === 'sell' && p2.action === 'buy' && p3.action === 'buy';
+
+  if (sameType(positions)) {
+    const label = typeLabel(p1.type);
+    if (wingsLong) return match(`Long ${label} Condor`, 'neutral');
+    if (wingsShort) return match(`Short ${label} Condor`, 'volatile');
+    return null;
+  }
+
+  const puts = positions.filter(position => position.type === 'put');
+  const calls = positions.filter(position => position.type === 'call');
+  if (puts.length !== 2 || calls.length !== 2) return null;
+
+  // Box: a bull call spread and a bear put spread on the same two strikes
+  const [lowCall, highCall] = calls;
+  const [lowPut, highPut] = puts;
+  if (lowCall.strike === lowPut.strike && highCall.strike === highPut.strike
+      && lowCall.strike !== highCall.strike
+      && lowCall.action !== highCall.action && lowPut.action !== highPut.action
+      && lowCall.action !== lowPut.action) {
+    return match(lowCall.action === 'buy' ? 'Long Box Spread' : 'Short Box Spread', 'neutral');
+  }
+
+  // Iron structures: puts below calls, short body and long wings (or the reverse)
+  const putsBelowCalls = highPut.strike <= lowCall.strike;
+  const ironShape = p1.type === 'put' && p4.type === 'call' && putsBelowCalls;
+  if (!ironShape || !(wingsLong || wingsShort)) return null;
+
+  const name = highPut.strike === lowCall.strike ? 'Iron Butterfly' : 'Iron Condor';
+  return wingsLong ? match(name, 'neutral') : match(`Reverse ${name}`, 'volatile');
+};
+
+const withUnderlying = (underlying, options) => {
+  const long = underlying.every(position => position.action === 'buy');
+  const short = underlying.every(position => position.action === 'sell');
+  const name = underlying.every(position => position.type === 'future') ? 'Future' : 'Stock';
+  const has = (type, action) => options.some(option => option.type === type && option.action === action);
+
+  if (underlying.length !== 1) return null;
+
+  if (options.length === 0) {
+    return long ? match(`Long ${name}`, 'bullish') : match(`Short ${name}`, 'bearish');
+  }
+
+  if (options.length === 1) {
+    if (long && has('call', 'sell')) return match('Covered Call', 'bullish');
+    if (long && has('put', 'buy')) return match('Protective Put', 'bullish');
+    if (short && has('put', 'sell')) return match('Covered Put', 'bearish');
+    if (short && has('call', 'buy')) return match('Protective Call', 'bearish');
+    return null;
+  }
+
+  if (options.length === 2 && sameExpiration(options)) {
+    const sameStrike = options[0].strike === options[1].strike;
+    if (long && has('put', 'buy') && has('call', 'sell')) {
+      return sameStrike ? match('Conversion', 'neutral') : match('Collar', 'bullish');
+    }
+    if (short && has('put', 'sell') && has('call', 'buy')) {
+      return sameStrike ? match('Reversal', 'neutral') : match('Short Collar', 'bearish');
+    }
+  }
+
+  return null;
+};
+
+// Reads the view off the expiration payoff: which side of the strikes pays
+// more, or whether the middle beats both tails
+const payoffDirection = (legs) => {
+  const strikes = legs.filter(leg => !isUnderlyingLeg(leg)).map(leg => leg.strike);
+  if (strikes.length === 0) return 'neutral';
+
+  const low = Math.min(...strikes);
+  const high = Math.max(...strikes);
+  const downside = strategyPayoff(legs, low * 0.8);
+  const middle = strategyPayoff(legs, (low + high) / 2);
+  const upside = strategyPayoff(legs, high * 1.2);
+  const scale = Math.max(1, Math.abs(downside), Math.abs(middle), Math.abs(upside));
+
+  if ((upside - downside) / scale > 0.1) return 'bullish';
+  if ((downside - upside) / scale > 0.1) return 'bearish';
+  return middle > Math.max(downside, upside) ? 'neutral' : 'volatile';
+};
+
+// Defined risk means every short option (and any short underlying) is covered
+// by long options, or shares for short calls, expiring no earlier. A naked
+// short put counts as undefined risk even though its loss stops at the strike.
+export const isDefinedRisk = (legs) => {
+  const units = (leg) => leg.quantity * legMultiplier(leg);
+  const underlying = legs
+    .filter(isUnderlyingLeg)
+    .reduce((sum, leg) => sum + (leg.action === 'buy' ? 1 : -1) * units(leg), 0);
+
+  const uncovered = (type, hedge) => {
+    const shorts = legs.filter(leg => leg.type === type && leg.action === 'sell');
+    if (shorts.length === 0) return 0;
+
+    const lastShortExpiry = shorts.map(leg => leg.expiration || '').sort().pop();
+    const longs = legs
+      .filter(leg => leg.type === type && leg.action === 'buy')
+      .filter(leg => (leg.expiration || '') >= lastShortExpiry)
+      .reduce((sum, leg) => sum + units(leg), 0);
+
+    return shorts.reduce((sum, leg) => sum + units(leg), 0) - longs - hedge;
+  };
+
+  const longCalls = legs
+    .filter(leg => leg.type === 'call' && leg.action === 'buy')
+    .reduce((sum, leg) => sum + units(leg), 0);
+  const shortCalls = legs
+    .filter(leg => leg.type === 'call' && leg.action === 'sell')
+    .reduce((sum, leg) => sum + units(leg), 0);
+
+  if (uncovered('call', Math.max(0, underlying)) > EPSILON) return false;
+  if (uncovered('put', Math.max(0, -underlying)) > EPSILON) return false;
+  // Short shares need long calls left over after covering the short calls
+  return underlying >= 0 || longCalls - shortCalls + underlying >= -EPSILON;
+};
+
+const premiumSide = (legs) => {
+  const premium = netPremium(legs);
+  if (Math.abs(premium) < 0.005) return 'even';
+  return premium > 0 ? 'debit' : 'credit';
+};
+
+// Returns { name, direction, premium: 'debit' | 'credit' | 'even', risk: 'defined' | 'undefined' }
+export const recognizeStrategy = (legs) => {
+  if (!legs || legs.length === 0) {
+    return { name: 'Unknown', direction: 'neutral', premium: 'even', risk: 'defined' };
+  }
+
+  const positions = consolidate(legs);
+  const underlying = positions.filter(isUnderlyingLeg);
+  const options = positions.filter(position => !isUnderlyingLeg(position));
+
+  let matched = null;
+  if (underlying.length > 0) {
+    matched = withUnderlying(underlying, options);
+  } else if (options.length === 1) {
+    matched = singleOption(options[0]);
+  } else if (options.length === 2) {
+    matched = twoOptions(options);
+  } else if (options.length === 3) {
+    matched = threeOptions(options);
+  } else if (options.length === 4) {
+    matched = fourOptions(options);
+  }
+
+  const singleExpiry = sameExpiration(options);
+
+  return {
+    name: matched ? matched.name : 'Complex Strategy',
+    direction: matched ? matched.direction : (singleExpiry ? payoffDirection(legs) : 'neutral'),
+    premium: premiumSide(legs),
+    risk: isDefinedRisk(legs) ? 'defined' : 'undefined',
+  };
+};
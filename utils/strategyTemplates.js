@@ -0,0 +1,239 @@
+// Templates for common multi-leg trades. Each leg picks its strike from the
+// loaded option chain by delta, by dollar distance from the spot, or as a
+// wing a fixed width away from another leg, and takes its premium from the
+// side of the market it trades against (ask to buy, bid to sell).
+// Resolution failures come back as { legs: null, error } like the IV solver.
+
+import { legGreeks } from './pricing.js';
+import { legMultiplier } from './fees.js';
+
+// Strike selectors:
+//   { offset: 0 }           nearest strike to spot + offset dollars (0 is at the money)
+//   { delta: 0.16 }         strike whose absolute delta is closest to 0.16
+//   { leg: 0, width: 5 }    strike `width` dollars from the strike of leg 0
+// expiry is 'near' (the selected expiration) or 'far' (the next one listed)
+export const STRATEGY_TEMPLATES = [
+  {
+    id: 'longStraddle',
+    label: 'ATM straddle',
+    legs: [
+      { type: 'call', action: 'buy', strike: { offset: 0 } },
+      { type: 'put', action: 'buy', strike: { leg: 0, width: 0 } },
+    ],
+  },
+  {
+    id: 'shortStrangle',
+    label: 'Short strangle, 16-delta',
+    legs: [
+      { type: 'put', action: 'sell', strike: { delta: 0.16 } },
+      { type: 'call', action: 'sell', strike: { delta: 0.16 } },
+    ],
+  },
+  {
+    id: 'ironCondor',
+    label: 'Iron condor, 16-delta shorts, $5 wings',
+    legs: [
+      { type: 'put', action: 'sell', strike: { delta: 0.16 } },
+      { type: 'put', action: 'buy', strike: { leg: 0, width: -5 } },
+      { type: 'call', action: 'sell', strike: { delta: 0.16 } },
+      { type: 'call', action: 'buy', strike: { leg: 2, width: 5 } },
+    ],
+  },
+  {
+    id: 'ironButterfly',
+    label: 'Iron butterfly, ATM, $10 wings',
+    legs: [
+      { type: 'put', action: 'sell', strike: { offset: 0 } },
+      { type: 'call', action: 'sell', strike: { leg: 0, width: 0 } },
+      { type: 'put', action: 'buy', strike: { leg: 0, width: -10 } },
+      { type: 'call', action: 'buy', strike: { leg: 0, width: 10 } },
+    ],
+  },
+  {
+    id: 'bullCallSpread',
+    label: 'Bull call spread, ATM, $5 wide',
+    legs: [
+      { type: 'call', action: 'buy', strike: { offset: 0 } },
+      { type: 'call', action: 'sell', strike: { leg: 0, width: 5 } },
+    ],
+  },
+  {
+    id: 'bearPutSpread',
+    label: 'Bear put spread, ATM, $5 wide',
+    legs: [
+      { type: 'put', action: 'buy', strike: { offset: 0 } },
+      { type: 'put', action: 'sell', strike: { leg: 0, width: -5 } },
+    ],
+  },
+  {
+    id: 'bullPutSpread',
+    label: 'Bull put spread, 30-delta short, $5 wide',
+    legs: [
+      { type: 'put', action: 'sell', strike: { delta: 0.3 } },
+      { type: 'put', action: 'buy', strike: { leg: 0, width: -5 } },
+    ],
+  },
+  {
+    id: 'bearCallSpread',
+    label: 'Bear call spread, 30-delta short, $5 wide',
+    legs: [
+      { type: 'call', action: 'sell', strike: { delta: 0.3 } },
+      { type: 'call', action: 'buy', strike: { leg: 0, width: 5 } },
+    ],
+  },
+  {
+    id: 'callButterfly',
+    label: 'Call butterfly, ATM, $5 wings',
+    legs: [
+      { type: 'call', action: 'sell', quantity: 2, strike: { offset: 0 } },
+      { type: 'call', action: 'buy', strike: { leg: 0, width: -5 } },
+      { type: 'call', action: 'buy', strike: { leg: 0, width: 5 } },
+    ],
+  },
+  {
+    id: 'callCalendar',
+    label: 'Call calendar, ATM',
+    legs: [
+      { type: 'call', action: 'sell', strike: { offset: 0 } },
+      { type: 'call', action: 'buy', expiry: 'far', strike: { leg: 0, width: 0 } },
+    ],
+  },
+  {
+    id: 'coveredCall',
+    label: 'Covered call, 30-delta',
+    legs: [
+      { type: 'stock', action: 'buy', quantity: 100 },
+      { type: 'call', action: 'sell', strike: { delta: 0.3 } },
+    ],
+  },
+  {
+    id: 'collar',
+    label: 'Collar, 25-delta put and call',
+    legs: [
+      { type: 'stock', action: 'buy', quantity: 100 },
+      { type: 'put', action: 'buy', strike: { delta: 0.25 } },
+      { type: 'call', action: 'sell', strike: { delta: 0.25 } },
+    ],
+  },
+];
+
+const failure = (error) => ({ legs: null, error });
+
+const quoteFor = (row, type, action) => {
+  if (type === 'call') return action === 'buy' ? row.callAsk : row.callBid;
+  return action === 'buy' ? row.putAsk : row.putBid;
+};
+
+const volatilityFor = (row, type) => (type === 'call' ? row.callIv : row.putIv) ?? row.iv;
+
+const nearestRow = (rows, target) => {
+  return rows.reduce((best, row) => (
+    !best || Math.abs(row.strike - target) < Math.abs(best.strike - target) ? row : best
+  ), null);
+};
+
+// Nearest strike to base + width, stepping past the base strike when the
+// chain is too coarse, so wings never collapse onto the body. Ties go to the
+// wider strike so both wings of a butterfly round the same way.
+const wingRow = (rows, baseStrike, width) => {
+  if (width === 0) return rows.find(row => row.strike === baseStrike) || null;
+
+  const target = baseStrike + width;
+  return rows
+    .filter(row => (width > 0 ? row.strike > baseStrike : row.strike < baseStrike))
+    .reduce((best, row) => {
+      if (!best) return row;
+      const distance = Math.abs(row.strike - target);
+      const bestDistance = Math.abs(best.strike - target);
+      const wider = Math.abs(row.strike - baseStrike) > Math.abs(best.strike - baseStrike);
+      return distance < bestDistance || (distance === bestDistance && wider) ? row : best;
+    }, null);
+};
+
+const deltaRow = (rows, type, targetDelta, expiration, market) => {
+  return rows.reduce((best, row) => {
+    const volatility = volatilityFor(row, type);
+    if (!volatility) return best;
+
+    const { delta } = legGreeks({ type, strike: row.strike, expiration, volatility }, market);
+    const distance = Math.abs(Math.abs(delta) - targetDelta);
+    return !best || distance < best.distance ? { row, distance } : best;
+  }, null)?.row || null;
+};
+
+// Resolves a template into legs shaped like StrategyForm's output.
+// chains maps each expiration to its rows; expirations lists them in order.
+export const resolveTemplate = (template, {
+  chains,
+  expirations = [],
+  expiration,
+  market,
+  multiplier,
+}) => {
+  const farExpiration = expirations.find(date => date > expiration);
+  const legs = [];
+
+  for (const spec of template.legs) {
+    const quantity = spec.quantity || 1;
+
+    if (spec.type === 'stock') {
+      legs.push({
+        type: 'stock',
+        action: spec.action,
+        quantity,
+        strike: 0,
+        premium: market.spot,
+        expiration: null,
+        multiplier: 1,
+      });
+      continue;
+    }
+
+    const legExpiration = spec.expiry === 'far' ? farExpiration : expiration;
+    if (!legExpiration) {
+      return failure(`${template.label} needs a later expiration than ${expiration}`);
+    }
+
+    const rows = (chains[legExpiration] || []).filter(row => quoteFor(row, spec.type, spec.action) > 0);
+    if (rows.length === 0) {
+      return failure(`No ${spec.type} quotes loaded for ${legExpiration}`);
+    }
+
+    const { strike } = spec;
+    let row = null;
+    if (strike.delta !== undefined) {
+      row = deltaRow(rows, spec.type, strike.delta, legExpiration, market);
+    } else if (strike.leg !== undefined) {
+      row = wingRow(rows, legs[strike.leg].strike, strike.width);
+    } else {
+      row = nearestRow(rows, market.spot + (strike.offset || 0));
+    }
+
+    if (!row) {
+      return failure(`No ${spec.type} strike available for the ${template.label} template`);
+    }
+
+    const leg = {
+      type: spec.type,
+      action: spec.action,
+      quantity,
+      strike: row.strike,
+      premium: quoteFor(row, spec.type, spec.action),
+      expiration: legExpiration,
+      volatility: volatilityFor(row, spec.type) || undefined,
+    };
+    legs.push({ ...leg, multiplier: multiplier || legMultiplier(leg) });
+  }
+
+  return { legs, error: null };
+};
+
+// Expirations whose chains a template needs before it can be resolved
+export const templateExpirations = (template, expirations, expiration) => {
+  const farExpiration = expirations.find(date => date > expiration);
+  const needed = template.legs
+    .filter(spec => spec.type !== 'stock')
+    .map(spec => (spec.expiry === 'far' ? farExpiration : expiration));
+
+  return [...new Set(needed)].filter(Boolean);
+};
@@ -0,0 +1,152 @@
+// Volatility smile fitted with a natural cubic spline through the chain's
+// per-strike implied volatilities, in log-moneyness ln(K / S). Scenarios move
+// the fitted smile (shift, tilt, steepen) instead of replacing it with a flat
+// number, so skew exposure shows up in the scenario P&L.
+
+import { DEFAULT_VOLATILITY } from './market.js';
+import { isOptionLeg } from './pricing.js';
+
+const MIN_VOLATILITY = 0.01;
+
+// Second derivatives of a natural cubic spline through (xs, ys)
+const splineSecondDerivatives = (xs, ys) => {
+  const n = xs.length;
+  const second = new Array(n).fill(0);
+  const temp = new Array(n).fill(0);
+
+  for (let i = 1; i < n - 1; i++) {
+    const sig = (xs[i] - xs[i - 1]) / (xs[i + 1] - xs[i - 1]);
+    const p = sig * second[i - 1] + 2;
+    second[i] = (sig - 1) / p;
+    const slopeChange = (ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]) - (ys[i] - ys[i - 1]) / (xs[i] - xs[i - 1]);
+    temp[i] = (6 * slopeChange / (xs[i + 1] - xs[i - 1]) - sig * temp[i - 1]) / p;
+  }
+
+  for (let i = n - 2; i >= 0; i--) {
+    second[i] = second[i] * second[i + 1] + temp[i];
+  }
+
+  return second;
+};
+
+// Builds a smile from { strike, volatility } quotes. Duplicate strikes are averaged.
+export const fitSmile = (quotes, spot) => {
+  const byStrike = new Map();
+  quotes
+    .filter(quote => quote.strike > 0 && quote.volatility > 0)
+    .forEach(quote => {
+      const existing = byStrike.get(quote.strike) || [];
+      byStrike.set(quote.strike, [...existing, quote.volatility]);
+    });
+
+  const points = [...byStrike.entries()]
+    .map(([strike, vols]) => ({
+      strike,
+      moneyness: Math.log(strike / spot),
+      volatility: vols.reduce((sum, vol) => sum + vol, 0) / vols.length,
+    }))
+    .sort((a, b) => a.strike - b.strike);
+
+  const xs = points.map(point => point.moneyness);
+  const ys = points.map(point => point.volatility);
+
+  return {
+    spot,
+    points,
+    second: points.length > 2 ? splineSecondDerivatives(xs, ys) : new Array(points.length).fill(0),
+    scenario: { shift: 0, tilt: 0, steepen: 0 },
+  };
+};
+
+// Uses the out-of-the-money side of each strike, where quotes are most liquid
+export const fitSmileFromChain = (rows, spot) => {
+  return fitSmile(rows.map(row => ({
+    strike: row.strike,
+    volatility: row.strike < spot ? (row.putIv ?? row.iv) : (row.callIv ?? row.iv),
+  })), spot);
+};
+
+// Fallback when no chain is available: the strategy's own legs are the quotes
+export const fitSmileFromLegs = (legs, spot) => {
+  return fitSmile(legs.filter(isOptionLeg).map(leg => ({
+    strike: leg.strike,
+    volatility: leg.volatility || DEFAULT_VOLATILITY,
+  })), spot);
+};
+
+// Spline value before any scenario, flat beyond the outermost strikes
+const baseVolatility = (smile, moneyness) => {
+  const { points, second } = smile;
+  if (points.length === 0) return DEFAULT_VOLATILITY;
+  if (points.length === 1 || moneyness <= points[0].moneyness) return points[0].volatility;
+
+  const last = points[points.length - 1];
+  if (moneyness >= last.moneyness) return last.volatility;
+
+  const upper = points.findIndex(point => point.moneyness >= moneyness);
+  const lower = upper - 1;
+  const h = points[upper].moneyness - points[lower].moneyness;
+  const a = (points[upper].moneyness - moneyness) / h;
+  const b = (moneyness - points[lower].moneyness) / h;
+
+  return a * points[lower].volatility + b * points[upper].volatility
+    + ((a * a * a - a) * second[lower] + (b * b * b - b) * second[upper]) * (h * h) / 6;
+};
+
+// Volatility at a strike with the smile's scenario applied:
+// steepen scales the distance from at-the-money vol, tilt adds a slope per
+// unit of log-moneyness and shift moves the whole curve (all in decimals)
+export const smileVolatility = (smile, strike) => {
+  const moneyness = Math.log(strike / smile.spot);
+  const atm = baseVolatility(smile, 0);
+  const base = baseVolatility(smile, moneyness);
+  const { shift, tilt, steepen } = smile.scenario;
+
+  return Math.max(
+    MIN_VOLATILITY,
+    atm + (base - atm) * (1 + steepen) + tilt * moneyness + shift
+  );
+};
+
+export const applySmileScenario = (smile, scenario) => ({
+  ...smile,
+  scenario: { shift: 0, tilt: 0, steepen: 0, ...scenario },
+});
+
+// Re-marks each leg by how much the scenario moves the smile at its strike,
+// keeping the leg's own volatility as the starting point
+export const legsUnderSmileScenario = (legs, smile, scenario) => {
+  const shocked = applySmileScenario(smile, scenario);
+
+  return legs.map(leg => {
+    if (!isOptionLeg(leg)) return leg;
+
+    const change = smileVolatility(shocked, leg.strike) - smileVolatility(smile, leg.strike);
+    return {
+      ...leg,
+      volatility: Math.max(MIN_VOLATILITY, (leg.volatility || DEFAULT_VOLATILITY) + change),
+    };
+  });
+};
+
+export const SMILE_SCENARIOS = [
+  { id: 'up5', label: 'Vol +5 pts', scenario: { shift: 0.05 } },
+  { id: 'down5', label: 'Vol -5 pts', scenario: { shift: -0.05 } },
+  { id: 'putSkew', label: 'Put skew richens', scenario: { tilt: -0.2 } },
+  { id: 'callSkew', label: 'Call skew richens', scenario: { tilt: 0.2 } },
+  { id: 'steepen', label: 'Smile steepens 50%', scenario: { steepen: 0.5 } },
+  { id: 'flatten', label: 'Smile flattens 50%', scenario: { steepen: -0.5 } },
+];
+
+// Samples the (scenario-adjusted) smile for charting
+export const sampleSmile = (smile, { from, to, count = 25 } = {}) => {
+  const strikes = smile.points.map(point => point.strike);
+  const low = from ?? (strikes.length > 0 ? Math.min(...strikes) : smile.spot * 0.8);
+  const high = to ?? (strikes.length > 0 ? Math.max(...strikes) : smile.spot * 1.2);
+  const step = count > 1 ? (high - low) / (count - 1) : 0;
+
+  return Array.from({ length: count }, (_, i) => {
+    const strike = low + step * i;
+    return { strike, volatility: smileVolatility(smile, strike) };
+  });
+};